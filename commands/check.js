@@ -0,0 +1,256 @@
+import path from 'path';
+import logger from '../utils/logger.js';
+import { createKeypairFromPrivateKey } from '../utils/solana.js';
+import { createChecker } from '../utils/checker.js';
+import { createCheckpointStore } from '../utils/checkpoint.js';
+import { createResultWriter, RAW_RESPONSES_FILE } from '../utils/resultWriter.js';
+import { createProgressDisplay } from '../utils/progress.js';
+import { runDryRun } from './dryRun.js';
+import { readResultRecords } from '../utils/resultReader.js';
+import { createHistoryStore, HISTORY_DIR } from '../utils/history.js';
+import { fetchBalances, balanceColumns } from '../utils/balances.js';
+import { resolvePassword } from '../utils/prompt.js';
+import { loadWallets, passesPreflight } from '../utils/wallets.js';
+import { EXIT_CODES } from '../utils/cli.js';
+import { resolveStatus, isCheckedStatus } from '../utils/status.js';
+
+/**
+ * Keep only the keys whose wallets failed in a previous run
+ * @param {string[]} privateKeys - Private keys
+ * @param {string} target - Previous run folder or result file
+ * @returns {Promise<string[]>} - Keys to re-check
+ */
+const selectFailedKeys = async (privateKeys, target) => {
+  const records = await readResultRecords(target);
+  
+  // Anything without a definitive answer from the API is checked again
+  const statuses = records.map(record => resolveStatus(record));
+  const failed = new Set(records
+    .filter((record, index) => !isCheckedStatus(statuses[index]))
+    .map(record => record.publicKey));
+  
+  if (statuses.some(status => status === null)) {
+    logger.warn(`${target} has incomplete status information, re-checking every wallet without a definitive answer`);
+  }
+  
+  const selected = privateKeys.filter((privateKey) => {
+    const keypair = createKeypairFromPrivateKey(privateKey);
+    return keypair && failed.has(keypair.publicKey.toBase58());
+  });
+  
+  logger.info(`Re-checking ${selected.length} of ${failed.size} failed wallets from ${target}`);
+  return selected;
+};
+
+/**
+ * Check eligibility of all wallets
+ * @param {Object} context - Command context
+ * @param {Object} context.config - Configuration
+ * @param {Object} context.options - Command line options (resume, keystore, onlyFailed, dryRun, signatures)
+ * @returns {Promise<number>} - Exit code
+ */
+export const runCheckCommand = async ({ config, options }) => {
+  const resume = Boolean(options.resume);
+  
+  // Read and validate keys and proxies, a dry run does not need proxies
+  const wallets = await loadWallets(config, { keystore: options.keystore, proxies: !options.dryRun });
+  if (!passesPreflight(wallets, config)) {
+    return EXIT_CODES.FAILURE;
+  }
+  
+  let { privateKeys } = wallets;
+  if (options.onlyFailed) {
+    privateKeys = await selectFailedKeys(privateKeys, options.onlyFailed);
+  }
+  
+  if (privateKeys.length === 0) {
+    logger.error(options.onlyFailed ? 'No failed wallets to re-check' : `No private keys found in ${wallets.keysPath}`);
+    return options.onlyFailed ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+  }
+  
+  if (options.dryRun) {
+    return runDryRun(privateKeys, config, options);
+  }
+  
+  // Use the proxies that passed validation
+  const { proxies } = wallets;
+  if (config.enableProxy) {
+    if (proxies.length === 0) {
+      logger.warn(`Proxy is enabled but no proxies found in ${config.proxiesPath}, running without proxies`);
+    } else if (proxies.length < privateKeys.length) {
+      logger.warn(`Only ${proxies.length} proxies for ${privateKeys.length} wallets, some wallets will share proxies`);
+    }
+  }
+  
+  // Proxies are handed out by the checker's pool, which benches the ones that keep failing
+  const checker = createChecker(config, { proxies });
+  // The checker holds keep-alive connections, release them however the run ends
+  try {
+    let checks;
+    try {
+      await checker.prepare();
+      checks = await checker.loadChecks();
+    } catch (error) {
+      logger.error(error.message);
+      return EXIT_CODES.FAILURE;
+    }
+  
+    // On-chain balances are looked up first so every result row carries them
+    let balances = null;
+    if (config.balances.enabled) {
+      const publicKeys = privateKeys
+        .map(privateKey => createKeypairFromPrivateKey(privateKey)?.publicKey.toBase58())
+        .filter(Boolean);
+      try {
+        balances = await fetchBalances(publicKeys, config);
+      } catch (error) {
+        // Balances are an extra, the eligibility check runs without them
+        logger.warn(`Failed to fetch balances, continuing without them: ${error.message}`);
+      }
+    }
+  
+    // Prepare checkpoint store
+    const checkpoint = createCheckpointStore(path.join(config.output.dir, 'checkpoint.jsonl'));
+    const previousCount = await checkpoint.load();
+  
+    if (resume) {
+      logger.info(`Resuming from checkpoint with ${previousCount} recorded wallets`);
+    } else {
+      if (previousCount > 0) {
+        logger.warn(`Discarding checkpoint with ${previousCount} wallets, use --resume to continue a previous run`);
+      }
+      await checkpoint.reset();
+    }
+  
+    // Results are appended to a fresh run folder as each wallet completes
+    const outputOptions = config.output;
+    let keyPassword = null;
+    if (outputOptions.includePrivateKeys && outputOptions.encryptPrivateKeys) {
+      keyPassword = await resolvePassword({
+        envVar: 'PAWS_OUTPUT_PASSWORD',
+        question: 'Password for the encrypted private key file: ',
+        confirm: true
+      });
+    } else if (outputOptions.includePrivateKeys) {
+      logger.warn('Private keys will be written to the result files in plaintext');
+    }
+  
+    const writer = createResultWriter({
+      baseDir: outputOptions.dir,
+      startedAt: new Date(),
+      formats: outputOptions.formats,
+      includePrivateKeys: outputOptions.includePrivateKeys,
+      keyPassword,
+      checks: checks.map(check => check.name),
+      balances: balances ? balanceColumns(config) : [],
+      captureRaw: outputOptions.captureRaw
+    });
+    await writer.open();
+  
+    if (outputOptions.captureRaw) {
+      logger.info(`Capturing every API request and raw response in ${path.join(writer.runDir, RAW_RESPONSES_FILE)}`);
+      checker.on('response', exchange => writer.writeRaw(exchange));
+    }
+  
+    // Persist every outcome as soon as it is known, the writer decides
+    // whether the key ends up in the output
+    checker.on('walletDone', ({ result, privateKey }) => {
+      if (!result.resumed) {
+        checkpoint.record(result);
+      }
+      writer.write(result, privateKey);
+    });
+  
+    const progress = createProgressDisplay({
+      total: privateKeys.length,
+      enabled: config.progress.enabled,
+      interval: config.progress.interval
+    });
+    checker.on('start', progress.start);
+    checker.on('walletDone', ({ result }) => progress.update(result));
+  
+    // Reuse the stored result for wallets already checked successfully
+    const reuse = resume
+      ? publicKey => (checkpoint.isDone(publicKey) ? { ...checkpoint.get(publicKey), resumed: true } : undefined)
+      : null;
+  
+    let results;
+    let summary;
+    try {
+      ({ results, summary } = await checker.checkAll(privateKeys, { reuse, balances }));
+    } finally {
+      // Give the terminal back before the summary is printed
+      progress.stop();
+    }
+    await checkpoint.flush();
+  
+    // Flush remaining writes and store the summary next to the results
+    await writer.close(summary);
+  
+    // Keep a record of every run so later runs can be compared with it
+    if (config.history.enabled) {
+      try {
+        const history = createHistoryStore(path.join(outputOptions.dir, HISTORY_DIR));
+        await history.save({ runId: path.basename(writer.runDir), config, summary, results });
+      } catch (error) {
+        logger.warn(`Failed to record run history: ${error.message}`);
+      }
+    }
+  
+    logger.info('===================== Summary =====================');
+    logger.info(`Total wallets: ${summary.totalWallets}`);
+    if (resume) {
+      logger.info(`Reused from checkpoint: ${summary.reused}`);
+    }
+    logger.info(`Eligible wallets: ${summary.eligible}`);
+    logger.info(`Not eligible: ${summary.notEligible}`);
+    Object.entries(summary.byStatus)
+      .filter(([status, count]) => !isCheckedStatus(status) && count > 0)
+      .forEach(([status, count]) => logger.info(`${status}: ${count}`));
+    logger.info(`Errors: ${summary.errors}`);
+    if (summary.circuitPauses > 0) {
+      logger.info(`Paused by circuit breaker: ${summary.circuitPauses} times`);
+    }
+    logger.info(`Total tokens: ${summary.totalTokens}`);
+    if (checks.length > 1) {
+      logger.info('Checks:');
+      Object.entries(summary.byCheck).forEach(([name, counts]) => {
+        logger.info(`  ${name}: ${counts.eligible} eligible, ${counts.notEligible} not eligible, ${counts.errors} errors, ${counts.totalTokens} tokens`);
+      });
+    }
+    if (summary.totalBalances) {
+      const totals = Object.entries(summary.totalBalances).map(([column, amount]) => `${amount} ${column}`);
+      logger.info(`Total balances: ${totals.join(', ')}`);
+    }
+    const { connections } = summary;
+    if (connections.requests > 0) {
+      logger.info(`Requests: ${connections.requests} (${connections.newConnections} new connections, ${connections.reusedConnections} reused)`);
+      logger.info(`Average connect time: ${connections.avgConnectMs ?? '-'}ms, response time: ${connections.avgResponseMs}ms`);
+    }
+    if (summary.proxies) {
+      logger.info('Proxies:');
+      summary.proxies.forEach((stats) => {
+        const latency = stats.avgLatencyMs !== null ? `, avg ${stats.avgLatencyMs}ms` : '';
+        const benched = stats.benched > 0 ? `, benched ${stats.benched}x` : '';
+        logger.info(`  ${stats.proxy}: ${stats.successes}/${stats.requests} ok, ${stats.failures} failed${latency}${benched}`);
+      });
+    }
+    logger.info('==================================================');
+  
+    // All done
+    if (summary.errors > 0) {
+      logger.warn(`${summary.errors} wallets could not be checked, re-run with --only-failed ${writer.runDir}`);
+    } else {
+      logger.success(`All wallets processed successfully. Bot execution completed.`);
+    }
+  
+    if (config.delayAfterCompletion > 0) {
+      logger.info(`Waiting ${config.delayAfterCompletion}ms before exiting`);
+      await new Promise(resolve => setTimeout(resolve, config.delayAfterCompletion));
+    }
+  
+    return summary.errors > 0 ? EXIT_CODES.WALLET_ERRORS : EXIT_CODES.OK;
+  } finally {
+    checker.close();
+  }
+};
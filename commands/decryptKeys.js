@@ -0,0 +1,28 @@
+import { readEncryptedKeys } from '../utils/resultWriter.js';
+import { resolvePassword } from '../utils/prompt.js';
+import { EXIT_CODES, USAGE } from '../utils/cli.js';
+
+/**
+ * Print the contents of an encrypted private key file
+ * @param {Object} context - Command context
+ * @param {string[]} context.positionals - Path to the encrypted key file
+ * @returns {Promise<number>} - Exit code
+ */
+export const runDecryptKeysCommand = async ({ positionals }) => {
+  const [filePath] = positionals;
+  if (!filePath) {
+    throw new Error(`A file is required\n\n${USAGE}`);
+  }
+
+  const password = await resolvePassword({
+    envVar: 'PAWS_OUTPUT_PASSWORD',
+    question: 'Password: '
+  });
+  const entries = await readEncryptedKeys(filePath, password);
+
+  entries.forEach((entry) => {
+    console.log(`${entry.privateKey}:${entry.publicKey}:${entry.status}:${entry.amount}`);
+  });
+
+  return EXIT_CODES.OK;
+};
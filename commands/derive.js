@@ -0,0 +1,26 @@
+import logger from '../utils/logger.js';
+import { createKeypairFromPrivateKey } from '../utils/solana.js';
+import { loadWallets, passesPreflight } from '../utils/wallets.js';
+import { EXIT_CODES } from '../utils/cli.js';
+
+/**
+ * Print the address of every wallet without contacting the API
+ * @param {Object} context - Command context
+ * @param {Object} context.config - Configuration
+ * @param {Object} context.options - Command line options (keystore)
+ * @returns {Promise<number>} - Exit code
+ */
+export const runDeriveCommand = async ({ config, options }) => {
+  const wallets = await loadWallets(config, { keystore: options.keystore, proxies: false });
+  if (!passesPreflight(wallets, config)) {
+    return EXIT_CODES.FAILURE;
+  }
+
+  // Addresses go to stdout so they can be piped, logs stay on the logger
+  wallets.privateKeys.forEach((privateKey) => {
+    console.log(createKeypairFromPrivateKey(privateKey).publicKey.toBase58());
+  });
+
+  logger.info(`Derived ${wallets.privateKeys.length} addresses`);
+  return EXIT_CODES.OK;
+};
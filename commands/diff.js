@@ -0,0 +1,67 @@
+import path from 'path';
+import logger from '../utils/logger.js';
+import { createHistoryStore, diffRuns, HISTORY_DIR } from '../utils/history.js';
+import { EXIT_CODES } from '../utils/cli.js';
+
+/**
+ * Format a diff as text lines
+ * @param {Object} diff - Result of diffRuns
+ * @returns {string[]} - Lines to print
+ */
+const formatDiff = (diff) => {
+  const lines = [`Comparing ${diff.from} -> ${diff.to}`];
+
+  const section = (title, entries, describe) => {
+    if (entries.length === 0) {
+      return;
+    }
+
+    lines.push('', `${title} (${entries.length}):`);
+    entries.forEach(entry => lines.push(`  ${describe(entry)}`));
+  };
+
+  section('Newly eligible', diff.newlyEligible, entry => `${entry.publicKey}  ${entry.amount} (was ${entry.previousStatus})`);
+  section('No longer eligible', diff.noLongerEligible, entry => `${entry.publicKey}  (was ${entry.previousAmount})`);
+  section('Amount changed', diff.amountChanged, entry => `${entry.publicKey}  ${entry.previousAmount} -> ${entry.amount}`);
+  section('Newly erroring', diff.newlyErroring, entry => `${entry.publicKey}  ${entry.status}: ${entry.error || 'Unknown reason'}`);
+  section('Status changed', diff.statusChanged, entry => `${entry.publicKey}  ${entry.previousStatus} -> ${entry.status}`);
+
+  lines.push('', `Unchanged: ${diff.unchanged}, added: ${diff.added.length}, removed: ${diff.removed.length}`);
+  return lines;
+};
+
+/**
+ * Compare two recorded runs
+ * @param {Object} context - Command context
+ * @param {Object} context.config - Configuration
+ * @param {Object} context.options - Command line options (json)
+ * @param {string[]} context.positionals - Run ids to compare (default: the last two runs)
+ * @returns {Promise<number>} - Exit code
+ */
+export const runDiffCommand = async ({ config, options, positionals }) => {
+  const history = createHistoryStore(path.join(config.output.dir, HISTORY_DIR));
+  let [fromId, toId] = positionals;
+
+  if (!toId) {
+    const runIds = (await history.list()).map(run => run.runId);
+
+    // With one id, compare it against the latest run
+    toId = runIds[runIds.length - 1];
+    fromId = fromId || runIds[runIds.length - 2];
+
+    if (!fromId || !toId) {
+      logger.error(`Need at least two recorded runs in ${history.dir} to compare`);
+      return EXIT_CODES.FAILURE;
+    }
+  }
+
+  const diff = diffRuns(await history.load(fromId), await history.load(toId));
+
+  if (options.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    formatDiff(diff).forEach(line => console.log(line));
+  }
+
+  return EXIT_CODES.OK;
+};
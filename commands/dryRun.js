@@ -0,0 +1,104 @@
+import path from 'path';
+import fs from 'fs-extra';
+import logger from '../utils/logger.js';
+import { createKeypairFromPrivateKey, signMessage, verifySignature } from '../utils/solana.js';
+import { EXIT_CODES } from '../utils/cli.js';
+import { loadAdapters, resolveChecks } from '../utils/checks.js';
+
+/**
+ * Folder inside the output directory that holds the dry-run files
+ */
+export const DRY_RUN_DIR = 'dry-run';
+
+/**
+ * Load a single wallet, sign every check's message and verify the
+ * signatures locally
+ * @param {string} privateKey - Private key
+ * @param {Object[]} checks - Checks (see resolveChecks)
+ * @returns {Object} - publicKey, signatures by check name and error (null when verified)
+ */
+const signLocally = (privateKey, checks) => {
+  const keypair = createKeypairFromPrivateKey(privateKey);
+  if (!keypair) {
+    return { publicKey: null, signatures: {}, error: 'Failed to create keypair' };
+  }
+
+  const publicKey = keypair.publicKey.toBase58();
+  const signatures = {};
+
+  for (const check of checks) {
+    const signedData = signMessage(keypair, check.signatureMessage);
+    if (!signedData) {
+      return { publicKey, signatures, error: `Failed to sign message of check ${check.name}` };
+    }
+
+    if (!verifySignature(signedData, check.signatureMessage)) {
+      return { publicKey, signatures, error: `Signature for check ${check.name} does not verify` };
+    }
+
+    signatures[check.name] = signedData.signature;
+  }
+
+  return { publicKey, signatures, error: null };
+};
+
+/**
+ * Sign the message of every configured check with every wallet and verify
+ * the signatures locally, without any network access. Writes the addresses
+ * (and with --signatures the address:signature pairs, address:check:signature
+ * with several checks) to the dry-run folder.
+ * @param {string[]} privateKeys - Private keys that passed preflight
+ * @param {Object} config - Configuration
+ * @param {Object} options - Command line options (signatures)
+ * @returns {Promise<number>} - Exit code
+ */
+export const runDryRun = async (privateKeys, config, options) => {
+  let checks;
+  try {
+    await loadAdapters(config);
+    checks = resolveChecks(config);
+  } catch (error) {
+    logger.error(error.message);
+    return EXIT_CODES.FAILURE;
+  }
+
+  logger.info(`Dry run: signing ${privateKeys.length} wallets locally, no requests are sent`);
+
+  const entries = privateKeys.map((privateKey, index) => {
+    const entry = signLocally(privateKey, checks);
+
+    if (entry.error) {
+      logger.error(`Wallet #${index + 1}: ${entry.error}`, entry.publicKey || '');
+    } else {
+      logger.debug('Signature verified', entry.publicKey);
+    }
+
+    return entry;
+  });
+
+  const verified = entries.filter(entry => !entry.error);
+  const outputDir = path.join(config.output.dir, DRY_RUN_DIR);
+  await fs.ensureDir(outputDir);
+
+  const addressesPath = path.join(outputDir, 'addresses.txt');
+  await fs.writeFile(addressesPath, verified.map(entry => `${entry.publicKey}\n`).join(''));
+  logger.info(`${verified.length} addresses saved to ${addressesPath}`);
+
+  if (options.signatures) {
+    const signaturesPath = path.join(outputDir, 'signatures.txt');
+    const lines = verified.flatMap(entry => Object.entries(entry.signatures).map(([name, signature]) => (checks.length > 1
+      ? `${entry.publicKey}:${name}:${signature}\n`
+      : `${entry.publicKey}:${signature}\n`)));
+    await fs.writeFile(signaturesPath, lines.join(''));
+    logger.info(`${verified.length} signatures saved to ${signaturesPath}`);
+  }
+
+  const failed = entries.length - verified.length;
+  if (failed > 0) {
+    logger.warn(`${failed} of ${entries.length} wallets could not be signed and verified`);
+    return EXIT_CODES.WALLET_ERRORS;
+  }
+
+  logger.success(`All ${entries.length} wallets signed and verified`);
+  return EXIT_CODES.OK;
+};
@@ -0,0 +1,32 @@
+import path from 'path';
+import logger from '../utils/logger.js';
+import { createHistoryStore, HISTORY_DIR } from '../utils/history.js';
+import { EXIT_CODES } from '../utils/cli.js';
+
+/**
+ * List the recorded runs
+ * @param {Object} context - Command context
+ * @param {Object} context.config - Configuration
+ * @param {Object} context.options - Command line options (json)
+ * @returns {Promise<number>} - Exit code
+ */
+export const runHistoryCommand = async ({ config, options }) => {
+  const history = createHistoryStore(path.join(config.output.dir, HISTORY_DIR));
+  const runs = await history.list();
+
+  if (options.json) {
+    console.log(JSON.stringify(runs, null, 2));
+    return EXIT_CODES.OK;
+  }
+
+  if (runs.length === 0) {
+    logger.info(`No runs recorded in ${history.dir}`);
+    return EXIT_CODES.OK;
+  }
+
+  runs.forEach(({ runId, summary }) => {
+    console.log(`${runId}  wallets ${summary.totalWallets}, eligible ${summary.eligible}, errors ${summary.errors}, tokens ${summary.totalTokens}`);
+  });
+
+  return EXIT_CODES.OK;
+};
@@ -0,0 +1,207 @@
+import fs from 'fs-extra';
+import logger from '../utils/logger.js';
+import { readKeyEntries } from '../utils/files.js';
+import { KEY_FORMATS, detectKeyFormat, normalizePrivateKey } from '../utils/solana.js';
+import { validateKeys, logValidationReport } from '../utils/preflight.js';
+import { passesPreflight } from '../utils/wallets.js';
+import { promptHidden, resolvePassword } from '../utils/prompt.js';
+import {
+  DEFAULT_KEYSTORE_FILE,
+  KEYSTORE_PASSWORD_ENV,
+  keystoreExists,
+  loadKeystore,
+  saveKeystore,
+  addKeysToEntries,
+  removeEntry
+} from '../utils/keystore.js';
+import { EXIT_CODES } from '../utils/cli.js';
+
+const USAGE = `Usage:
+  node index.js keystore import [file] [--remove-source]
+  node index.js keystore add [privateKey]
+  node index.js keystore remove <address>
+  node index.js keystore list`;
+
+/**
+ * Unlock an existing keystore, or start an empty one when allowed
+ * @param {string} filePath - Path to keystore
+ * @param {boolean} allowCreate - Create a new keystore if none exists
+ * @returns {Promise<Object>} - Entries and password
+ */
+const openKeystore = async (filePath, allowCreate) => {
+  if (await keystoreExists(filePath)) {
+    const password = await resolvePassword({
+      envVar: KEYSTORE_PASSWORD_ENV,
+      question: `Password for ${filePath}: `
+    });
+    return { entries: await loadKeystore(filePath, password), password };
+  }
+
+  if (!allowCreate) {
+    throw new Error(`Keystore not found: ${filePath}`);
+  }
+
+  logger.info(`Creating new keystore ${filePath}`);
+  const password = await resolvePassword({
+    envVar: KEYSTORE_PASSWORD_ENV,
+    question: 'New keystore password: ',
+    confirm: true
+  });
+  return { entries: [], password };
+};
+
+/**
+ * Log the outcome of adding keys
+ * @param {Object} counts - Counts from addKeysToEntries
+ */
+const logAddCounts = (counts) => {
+  logger.success(`Added ${counts.added} keys to keystore`);
+  if (counts.duplicates > 0) {
+    logger.info(`${counts.duplicates} keys were already in the keystore`);
+  }
+  if (counts.invalid > 0) {
+    logger.warn(`${counts.invalid} invalid keys were skipped`);
+  }
+};
+
+/**
+ * Overwrite a file with zeros, then delete it, so the plaintext is not
+ * trivially recoverable
+ * @param {string} filePath - File to remove
+ * @returns {Promise<void>}
+ */
+const wipeFile = async (filePath) => {
+  const { size } = await fs.stat(filePath);
+  await fs.writeFile(filePath, Buffer.alloc(size));
+  await fs.remove(filePath);
+};
+
+/**
+ * Explain why an imported key source must be kept. Removing it is only
+ * safe when every entry ended up in the keystore as it was written: a
+ * mnemonic stands for more accounts than the ones derived from it.
+ * @param {Object[]} sourceEntries - Entries read from the source
+ * @param {Object} report - Report from validateKeys
+ * @param {Object} counts - Counts from addKeysToEntries
+ * @returns {string|null} - Reason, or null when the source may be removed
+ */
+const findKeepReason = (sourceEntries, report, counts) => {
+  if (report.errors > 0 || counts.invalid > 0) {
+    return `${report.errors + counts.invalid} entries were not imported`;
+  }
+  if (report.warnings > 0 || counts.duplicates > 0) {
+    return 'it contains duplicates or keys that were already in the keystore';
+  }
+  if (sourceEntries.some(entry => detectKeyFormat(entry.text) === KEY_FORMATS.MNEMONIC)) {
+    return 'it contains a mnemonic, only the derived accounts were imported';
+  }
+  return null;
+};
+
+/**
+ * Remove an imported key file, or the imported keypair files of a key
+ * directory (other files and the directory itself are left alone)
+ * @param {string} sourcePath - Key file or directory
+ * @param {Object[]} sourceEntries - Entries read from the source
+ * @returns {Promise<void>}
+ */
+const removeKeySource = async (sourcePath, sourceEntries) => {
+  if (!(await fs.stat(sourcePath)).isDirectory()) {
+    await wipeFile(sourcePath);
+    logger.info(`Removed ${sourcePath}`);
+    return;
+  }
+
+  for (const { location } of sourceEntries) {
+    await wipeFile(location);
+  }
+  logger.info(`Removed ${sourceEntries.length} keypair files from ${sourcePath}`);
+};
+
+/**
+ * Run a keystore subcommand
+ * @param {Object} context - Command context
+ * @param {Object} context.config - Configuration
+ * @param {Object} context.options - Command line options (removeSource)
+ * @param {string[]} context.positionals - Action and its arguments
+ * @returns {Promise<number>} - Exit code
+ */
+export const runKeystoreCommand = async ({ config, options, positionals }) => {
+  const [action, ...rest] = positionals;
+  const filePath = config.keystore.path || DEFAULT_KEYSTORE_FILE;
+
+  switch (action) {
+    case 'import': {
+      const sourcePath = rest[0] || config.keysPath;
+      const sourceEntries = await readKeyEntries(sourcePath);
+      const report = validateKeys(sourceEntries, config.mnemonic);
+      logValidationReport(report, 'private keys');
+      if (report.keys.length === 0) {
+        throw new Error(`No private keys found in ${sourcePath}`);
+      }
+      if (!passesPreflight({ invalidCount: report.errors }, config)) {
+        return EXIT_CODES.FAILURE;
+      }
+
+      const { entries, password } = await openKeystore(filePath, true);
+      const counts = addKeysToEntries(entries, report.keys);
+      await saveKeystore(filePath, entries, password);
+      logAddCounts(counts);
+
+      if (options.removeSource) {
+        const keepReason = findKeepReason(sourceEntries, report, counts);
+        if (keepReason) {
+          logger.error(`Not removing ${sourcePath}: ${keepReason}`);
+          return EXIT_CODES.FAILURE;
+        }
+        await removeKeySource(sourcePath, sourceEntries);
+      } else {
+        logger.warn(`${sourcePath} still contains the plaintext keys, delete it or rerun with --remove-source`);
+      }
+      break;
+    }
+
+    case 'add': {
+      // Prefer the prompt so the key does not end up in shell history
+      const input = rest.length > 0 ? rest.join(' ') : await promptHidden('Private key or mnemonic: ');
+      const privateKeys = normalizePrivateKey(input.trim(), config.mnemonic);
+
+      const { entries, password } = await openKeystore(filePath, true);
+      const counts = addKeysToEntries(entries, privateKeys);
+      await saveKeystore(filePath, entries, password);
+      logAddCounts(counts);
+      break;
+    }
+
+    case 'remove': {
+      const address = rest[0];
+      if (!address) {
+        throw new Error('An address is required\n' + USAGE);
+      }
+
+      const { entries, password } = await openKeystore(filePath, false);
+      const remaining = removeEntry(entries, address);
+      if (remaining.length === entries.length) {
+        throw new Error(`Address not found in keystore: ${address}`);
+      }
+
+      await saveKeystore(filePath, remaining, password);
+      logger.success(`Removed ${address} from keystore`);
+      break;
+    }
+
+    case 'list': {
+      const { entries } = await openKeystore(filePath, false);
+      entries.forEach((entry) => {
+        console.log(`${entry.publicKey}  (added ${entry.addedAt})`);
+      });
+      logger.info(`${entries.length} keys in ${filePath}`);
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+  
+  return EXIT_CODES.OK;
+};
@@ -0,0 +1,61 @@
+import path from 'path';
+import logger from '../utils/logger.js';
+import { readResultRecords, resolveResultTarget } from '../utils/resultReader.js';
+import { LATEST_POINTER } from '../utils/resultWriter.js';
+import { EXIT_CODES } from '../utils/cli.js';
+import { resolveStatus } from '../utils/status.js';
+import { sumAmounts, toAmountValue } from '../utils/amount.js';
+
+/**
+ * Summarize records of a previous run
+ * @param {Object[]} records - Result records
+ * @returns {Object} - Counts per status, total tokens and eligible wallets
+ */
+export const summarizeRecords = (records) => {
+  const byStatus = {};
+  records.forEach((record) => {
+    const status = resolveStatus(record) || 'UNKNOWN';
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  });
+
+  const eligible = records
+    .filter(record => record.eligible)
+    .map(record => ({ publicKey: record.publicKey, amount: record.amount }));
+
+  return {
+    totalWallets: records.length,
+    byStatus,
+    totalTokens: toAmountValue(sumAmounts(eligible.map(record => record.amount))),
+    eligible
+  };
+};
+
+/**
+ * Print a summary of a previous run
+ * @param {Object} context - Command context
+ * @param {Object} context.config - Configuration
+ * @param {Object} context.options - Command line options (json)
+ * @param {string[]} context.positionals - Optional run folder or result file
+ * @returns {Promise<number>} - Exit code
+ */
+export const runReportCommand = async ({ config, options, positionals }) => {
+  const target = await resolveResultTarget(positionals[0] || path.join(config.output.dir, LATEST_POINTER));
+  const report = summarizeRecords(await readResultRecords(target));
+
+  if (options.json) {
+    console.log(JSON.stringify({ source: target, ...report }, null, 2));
+    return EXIT_CODES.OK;
+  }
+
+  logger.info(`===================== Report: ${target} =====================`);
+  logger.info(`Total wallets: ${report.totalWallets}`);
+  Object.entries(report.byStatus).forEach(([status, count]) => {
+    logger.info(`${status}: ${count}`);
+  });
+  logger.info(`Total tokens: ${report.totalTokens}`);
+  report.eligible.forEach((record) => {
+    console.log(`${record.publicKey}:${record.amount}`);
+  });
+
+  return EXIT_CODES.OK;
+};
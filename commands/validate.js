@@ -0,0 +1,40 @@
+import logger from '../utils/logger.js';
+import { loadWallets } from '../utils/wallets.js';
+import { EXIT_CODES } from '../utils/cli.js';
+import { loadAdapters, resolveChecks } from '../utils/checks.js';
+import { resolveTokenSettings, balanceColumns, getRpcLabel } from '../utils/balances.js';
+
+/**
+ * Validate configuration, check adapters, keys and proxies without running a check
+ * @param {Object} context - Command context
+ * @param {Object} context.config - Configuration (already validated when loaded)
+ * @param {Object} context.options - Command line options (keystore)
+ * @returns {Promise<number>} - Exit code
+ */
+export const runValidateCommand = async ({ config, options }) => {
+  logger.info('Configuration is valid');
+
+  try {
+    await loadAdapters(config);
+    const checks = resolveChecks(config);
+    logger.info(`Checks: ${checks.map(check => `${check.name} (${check.endpoint})`).join(', ')}`);
+
+    if (config.balances.enabled) {
+      resolveTokenSettings(config);
+      logger.info(`Balances: ${balanceColumns(config).join(', ')} from ${getRpcLabel(config.balances.rpcUrl)}`);
+    }
+  } catch (error) {
+    logger.error(error.message);
+    return EXIT_CODES.FAILURE;
+  }
+
+  const wallets = await loadWallets(config, { keystore: options.keystore });
+
+  if (wallets.invalidCount > 0) {
+    logger.error(`Found ${wallets.invalidCount} invalid entries`);
+    return EXIT_CODES.FAILURE;
+  }
+
+  logger.success(`${wallets.privateKeys.length} wallets and ${wallets.proxies.length} proxies are ready`);
+  return EXIT_CODES.OK;
+};
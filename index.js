@@ -1,10 +1,16 @@
 import figlet from 'figlet';
 import chalk from 'chalk';
-import pLimit from 'p-limit';
-import logger from './utils/logger.js';
-import { readConfig, readPrivateKeys, readProxies, saveResults } from './utils/files.js';
-import { createKeypairFromPrivateKey, signMessage, withRetry } from './utils/solana.js';
-import { checkEligibilityWithRetry } from './utils/api.js';
+import logger, { configureLogger } from './utils/logger.js';
+import { readConfig } from './utils/files.js';
+import { parseCliArgs, COMMANDS, EXIT_CODES, USAGE } from './utils/cli.js';
+import { runCheckCommand } from './commands/check.js';
+import { runDeriveCommand } from './commands/derive.js';
+import { runValidateCommand } from './commands/validate.js';
+import { runReportCommand } from './commands/report.js';
+import { runHistoryCommand } from './commands/history.js';
+import { runDiffCommand } from './commands/diff.js';
+import { runKeystoreCommand } from './commands/keystore.js';
+import { runDecryptKeysCommand } from './commands/decryptKeys.js';
 
 /**
  * Display ASCII art header
@@ -19,173 +25,65 @@ const displayHeader = () => {
 };
 
 /**
- * Random sleep function
- * @param {number} min - Minimum sleep time in ms
- * @param {number} max - Maximum sleep time in ms
- * @returns {Promise<void>}
+ * Command handlers
  */
-const randomSleep = async (min, max) => {
-  const sleepTime = Math.floor(Math.random() * (max - min + 1) + min);
-  logger.debug(`Sleeping for ${sleepTime}ms`);
-  await new Promise(resolve => setTimeout(resolve, sleepTime));
-};
-
-/**
- * Check eligibility for a wallet
- * @param {string} privateKey - Private key
- * @param {string|null} proxy - Proxy URL or null
- * @param {Object} config - Configuration
- * @returns {Promise<Object>} - Check result
- */
-const checkWalletEligibility = async (privateKey, proxy, config) => {
-  try {
-    // Create keypair from private key
-    const keypair = await withRetry(
-      () => createKeypairFromPrivateKey(privateKey),
-      config.retryOptions
-    );
-    
-    if (!keypair) {
-      return {
-        publicKey: 'unknown',
-        eligible: false,
-        error: 'Failed to create keypair'
-      };
-    }
-    
-    const publicKey = keypair.publicKey.toBase58();
-    
-    // Sign message
-    const signedData = await withRetry(
-      () => signMessage(keypair, config.signatureMessage),
-      config.retryOptions
-    );
-    
-    if (!signedData) {
-      return {
-        publicKey,
-        eligible: false,
-        error: 'Failed to sign message'
-      };
-    }
-    
-    // Check eligibility
-    const eligibilityResult = await checkEligibilityWithRetry(
-      signedData,
-      publicKey,
-      proxy,
-      config,
-      config.retryOptions
-    );
-    
-    // Log result
-    if (eligibilityResult.eligible) {
-      logger.success(`Eligible for ${eligibilityResult.amount} tokens`, publicKey);
-    } else {
-      logger.warn(`Not eligible: ${eligibilityResult.error || 'Unknown reason'}`, publicKey);
-    }
-    
-    return {
-      publicKey,
-      eligible: eligibilityResult.eligible,
-      amount: eligibilityResult.amount,
-      error: eligibilityResult.error
-    };
-  } catch (error) {
-    logger.error(`Failed to check eligibility: ${error.message}`);
-    return {
-      publicKey: privateKey ? privateKey.substring(0, 4) + '...' : 'unknown',
-      eligible: false,
-      error: error.message
-    };
-  }
+const handlers = {
+  check: runCheckCommand,
+  derive: runDeriveCommand,
+  validate: runValidateCommand,
+  report: runReportCommand,
+  history: runHistoryCommand,
+  diff: runDiffCommand,
+  keystore: runKeystoreCommand,
+  'decrypt-keys': runDecryptKeysCommand
 };
 
 /**
  * Main function
+ * @param {string[]} argv - Command line arguments
+ * @returns {Promise<number>} - Exit code
  */
-const main = async () => {
+const main = async (argv) => {
+  // The logger is silent until configured, show usage errors with the defaults
+  configureLogger();
+  
   try {
-    displayHeader();
+    const { command, options, positionals, configArgs } = parseCliArgs(argv);
     
-    // Read configuration
-    const config = await readConfig();
-    logger.info('Configuration loaded');
-    
-    // Read private keys
-    const privateKeys = await readPrivateKeys();
-    if (privateKeys.length === 0) {
-      logger.error('No private keys found in pk.txt');
-      return;
+    if (options.help || command === 'help') {
+      console.log(USAGE);
+      return EXIT_CODES.OK;
     }
     
-    // Read proxies if enabled
-    let proxies = [];
-    if (config.enableProxy) {
-      proxies = await readProxies();
-      if (proxies.length === 0) {
-        logger.warn('Proxy is enabled but no proxies found in proxy.txt, running without proxies');
-      } else if (proxies.length < privateKeys.length) {
-        logger.warn(`Only ${proxies.length} proxies for ${privateKeys.length} wallets, some wallets will share proxies`);
-      }
+    if (command === 'check') {
+      displayHeader();
     }
     
-    // Limit concurrency
-    const limit = pLimit(config.concurrency);
-    
-    // Process wallets
-    logger.info(`Starting to process ${privateKeys.length} wallets`);
+    // Keep stdout clean for commands that print data, even while loading the config
+    configureLogger({ stderr: Boolean(COMMANDS[command].dataOutput) });
     
-    const results = [];
-    const tasks = privateKeys.map((privateKey, index) => {
-      return limit(async () => {
-        // Get proxy for this wallet or null if not using proxies
-        const proxy = config.enableProxy && proxies.length > 0
-          ? proxies[index % proxies.length]
-          : null;
-        
-        // Check eligibility
-        const result = await checkWalletEligibility(privateKey, proxy, config);
-        
-        // Add original private key to result for filtering later
-        result.privateKey = privateKey;
-        
-        results.push(result);
-        
-        // Random delay between accounts
-        if (index < privateKeys.length - 1) {
-          await randomSleep(config.delayBetweenAccounts.min, config.delayBetweenAccounts.max);
-        }
-        
-        return result;
-      });
+    // Read configuration
+    const config = await readConfig(options.config || 'config.json', {
+      env: process.env,
+      argv: configArgs
     });
+    configureLogger({
+      ...config.logging,
+      // The mnemonic passphrase is as secret as the keys themselves
+      redact: [...config.logging.redact, config.mnemonic.passphrase],
+      stderr: Boolean(COMMANDS[command].dataOutput)
+    });
+    logger.debug('Configuration loaded');
     
-    // Wait for all tasks to complete
-    await Promise.all(tasks);
-    
-    // Save results
-    await saveResults(results);
-    
-    // Calculate stats
-    const eligibleCount = results.filter(r => r.eligible).length;
-    const totalAmount = results.reduce((sum, r) => sum + (r.amount || 0), 0);
-    
-    logger.info('===================== Summary =====================');
-    logger.info(`Total wallets: ${results.length}`);
-    logger.info(`Eligible wallets: ${eligibleCount}`);
-    logger.info(`Not eligible: ${results.length - eligibleCount}`);
-    logger.info(`Total tokens: ${totalAmount}`);
-    logger.info('==================================================');
-    
-    // All done
-    logger.success(`All wallets processed successfully. Bot execution completed.`);
-    
+    return await handlers[command]({ config, options, positionals });
   } catch (error) {
     logger.error(`Main process error: ${error.message}`);
-    logger.error(error.stack);
+    logger.debug(error.stack);
+    return EXIT_CODES.FAILURE;
   }
 };
 
 // Start the bot
-main();
\ No newline at end of file
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
\ No newline at end of file
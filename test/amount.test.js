@@ -0,0 +1,52 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAmount, toAmountValue, formatUnits, sumAmounts, isSameAmount, parseJsonLossless } from '../utils/amount.js';
+
+describe('amounts', () => {
+  test('normalizes numbers, decimal strings and BigInts', () => {
+    assert.equal(normalizeAmount(12.5), '12.5');
+    assert.equal(normalizeAmount('0012.500'), '12.5');
+    assert.equal(normalizeAmount(10n ** 20n), '100000000000000000000');
+    assert.equal(normalizeAmount(1e21), '1000000000000000000000');
+    assert.equal(normalizeAmount(1e-7), '0.0000001');
+  });
+
+  test('rejects values that are not amounts', () => {
+    [-1, '1e5', 'abc', '', null, undefined, {}, [], NaN, Infinity].forEach((value) => {
+      assert.equal(normalizeAmount(value), null, String(value));
+    });
+  });
+
+  test('keeps amounts as numbers only while they are exact', () => {
+    assert.equal(toAmountValue('12.50'), 12.5);
+    assert.equal(toAmountValue('123456789012345678901'), '123456789012345678901');
+    assert.equal(toAmountValue('0.1234567890123456789'), '0.1234567890123456789');
+  });
+
+  test('formats amounts in base units', () => {
+    assert.equal(formatUnits(1500000000, 9), '1.5');
+    assert.equal(formatUnits(42n, 9), '0.000000042');
+    assert.equal(formatUnits('18446744073709551615', 0), '18446744073709551615');
+  });
+
+  test('adds up without floating point errors', () => {
+    assert.equal(sumAmounts([0.1, 0.2]), '0.3');
+    assert.equal(sumAmounts(['9007199254740993', 1]), '9007199254740994');
+    assert.equal(sumAmounts([5, 'garbage', { amount: 1 }, null]), '5');
+    assert.equal(sumAmounts([]), '0');
+  });
+
+  test('compares amounts by value', () => {
+    assert.equal(isSameAmount(10, '10.0'), true);
+    assert.equal(isSameAmount(10, 10.5), false);
+  });
+
+  test('parses JSON without rounding large numbers', () => {
+    assert.deepEqual(parseJsonLossless('{"data":123456789012345678901,"small":1.5,"text":"123456789012345678901","neg":-3}'), {
+      data: '123456789012345678901',
+      small: 1.5,
+      text: '123456789012345678901',
+      neg: -3
+    });
+  });
+});
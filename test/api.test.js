@@ -0,0 +1,154 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWallet, createTestConfig } from './helpers.js';
+import { createMockPawsServer, responses } from './mockServer.js';
+import { checkPawsEligibility, closeApiClients } from '../utils/api.js';
+import { createKeypairFromPrivateKey, signMessage } from '../utils/solana.js';
+import { STATUS } from '../utils/status.js';
+
+describe('checkPawsEligibility', () => {
+  let server;
+  let config;
+  let wallet;
+  let signedData;
+
+  before(async () => {
+    server = createMockPawsServer();
+    config = createTestConfig(await server.listen(), { requestTimeout: 300 });
+  });
+
+  after(async () => {
+    closeApiClients();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    wallet = createWallet();
+    signedData = signMessage(createKeypairFromPrivateKey(wallet.privateKey), config.signatureMessage);
+  });
+
+  test('returns the amount of an eligible wallet', async () => {
+    server.script(wallet.publicKey, responses.eligible(42.5));
+
+    const result = await checkPawsEligibility(signedData, wallet.publicKey, null, config);
+
+    assert.equal(result.status, STATUS.ELIGIBLE);
+    assert.equal(result.amount, 42.5);
+    assert.equal(server.requests[0].verified, true);
+  });
+
+  test('treats "No OG drop" as a definitive answer', async () => {
+    const result = await checkPawsEligibility(signedData, wallet.publicKey, null, config);
+
+    assert.equal(result.status, STATUS.NOT_ELIGIBLE);
+    assert.equal(result.error, 'No OG drop');
+  });
+
+  test('returns an API error for a rejected signature', async () => {
+    const other = createWallet();
+    const forged = { ...signedData, publicKey: other.publicKey };
+
+    const result = await checkPawsEligibility(forged, other.publicKey, null, config);
+
+    assert.equal(result.status, STATUS.API_ERROR);
+    assert.equal(result.error, 'Invalid signature');
+    assert.equal(server.requests[0].verified, false);
+  });
+
+  test('throws a retryable error with the Retry-After delay on 429', async () => {
+    server.script(wallet.publicKey, responses.rateLimited(2));
+
+    await assert.rejects(checkPawsEligibility(signedData, wallet.publicKey, null, config), (error) => {
+      assert.equal(error.status, STATUS.API_ERROR);
+      assert.equal(error.httpStatus, 429);
+      assert.equal(error.retryable, true);
+      assert.equal(error.retryAfterMs, 2000);
+      return true;
+    });
+  });
+
+  test('throws a retryable error on server errors', async () => {
+    server.script(wallet.publicKey, responses.serverError());
+
+    await assert.rejects(checkPawsEligibility(signedData, wallet.publicKey, null, config), (error) => {
+      assert.equal(error.httpStatus, 500);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+  });
+
+  test('reports a malformed body as an unexpected response', async () => {
+    server.script(wallet.publicKey, responses.malformed());
+
+    const result = await checkPawsEligibility(signedData, wallet.publicKey, null, config);
+
+    assert.equal(result.status, STATUS.UNEXPECTED_RESPONSE);
+  });
+
+  test('reports bodies and amounts of the wrong shape as unexpected responses', async () => {
+    server.script(
+      wallet.publicKey,
+      { status: 200, body: { success: 'yes', data: 1 } },
+      { status: 200, body: { success: true, data: { amount: 1 } } },
+      { status: 200, body: { success: true } }
+    );
+
+    const results = [];
+    for (let index = 0; index < 3; index++) {
+      results.push(await checkPawsEligibility(signedData, wallet.publicKey, null, config));
+    }
+
+    assert.deepEqual(results.map(result => result.status), Array(3).fill(STATUS.UNEXPECTED_RESPONSE));
+    assert.match(results[0].error, /body\.success: expected boolean/);
+    assert.match(results[1].error, /body\.data: expected amount or null/);
+    assert.match(results[2].error, /Unexpected amount/);
+  });
+
+  test('keeps amounts exact', async () => {
+    server.script(
+      wallet.publicKey,
+      { status: 200, raw: '{"success":true,"data":123456789012345678901}' },
+      { status: 200, body: { success: true, data: '12.50' } }
+    );
+
+    const large = await checkPawsEligibility(signedData, wallet.publicKey, null, config);
+    const text = await checkPawsEligibility(signedData, wallet.publicKey, null, config);
+
+    assert.equal(large.amount, '123456789012345678901');
+    assert.equal(text.amount, 12.5);
+  });
+
+  test('reports the raw exchange of every request', async () => {
+    server.script(wallet.publicKey, { status: 200, raw: '{"success":true,"data":7}' });
+    const exchanges = [];
+
+    await checkPawsEligibility(signedData, wallet.publicKey, null, config, undefined, exchange => exchanges.push(exchange));
+
+    assert.equal(exchanges.length, 1);
+    assert.equal(exchanges[0].request.method, 'POST');
+    assert.equal(exchanges[0].request.payload.publicKey, wallet.publicKey);
+    assert.equal(exchanges[0].response.httpStatus, 200);
+    assert.equal(exchanges[0].response.body, '{"success":true,"data":7}');
+  });
+
+  test('uses the timeout and user agent of each configuration', async () => {
+    const other = createTestConfig(config.apiEndpoint, { requestTimeout: 300, userAgent: 'paws-test' });
+
+    await checkPawsEligibility(signedData, wallet.publicKey, null, config);
+    await checkPawsEligibility(signedData, wallet.publicKey, null, other);
+
+    assert.notEqual(server.requests[0].headers['user-agent'], 'paws-test');
+    assert.equal(server.requests[1].headers['user-agent'], 'paws-test');
+  });
+
+  test('throws a retryable network error when the API hangs', async () => {
+    server.script(wallet.publicKey, responses.hang());
+
+    await assert.rejects(checkPawsEligibility(signedData, wallet.publicKey, null, config), (error) => {
+      assert.equal(error.status, STATUS.NETWORK_ERROR);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+  });
+});
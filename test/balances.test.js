@@ -0,0 +1,140 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { createWallet, createTestConfig } from './helpers.js';
+import { createMockRpcServer, mintData, tokenAccountData, TOKEN_PROGRAM_ID } from './mockRpcServer.js';
+import { createMockPawsServer, responses } from './mockServer.js';
+import { fetchBalances, findTokenAccount, balanceColumns, resolveTokenSettings } from '../utils/balances.js';
+import { createChecker } from '../utils/checker.js';
+import { createResultWriter } from '../utils/resultWriter.js';
+
+const MINT = createWallet().publicKey;
+
+describe('fetchBalances', () => {
+  let rpc;
+  let rpcUrl;
+
+  before(async () => {
+    rpc = createMockRpcServer();
+    rpcUrl = await rpc.listen();
+  });
+
+  after(async () => {
+    await rpc.close();
+  });
+
+  beforeEach(() => {
+    rpc.reset();
+    rpc.setAccount(MINT, { owner: TOKEN_PROGRAM_ID, data: mintData(6) });
+  });
+
+  /**
+   * Test configuration fetching balances from the mock RPC
+   * @param {Object} balances - Balance settings
+   * @returns {Object} - Configuration
+   */
+  const configFor = balances => createTestConfig('http://127.0.0.1:1/og', {
+    balances: { enabled: true, rpcUrl, ...balances }
+  });
+
+  /**
+   * Give a wallet an associated token account of the test mint
+   * @param {string} owner - Wallet address
+   * @param {bigint} amount - Balance in base units
+   */
+  const fundToken = (owner, amount) => {
+    const account = findTokenAccount(new PublicKey(owner), new PublicKey(MINT), new PublicKey(TOKEN_PROGRAM_ID));
+    rpc.setAccount(account.toBase58(), { owner: TOKEN_PROGRAM_ID, data: tokenAccountData(MINT, owner, amount) });
+  };
+
+  test('reads SOL and token balances in batches', async () => {
+    const wallets = Array.from({ length: 5 }, () => createWallet().publicKey);
+    rpc.setAccount(wallets[0], { lamports: 1.5 * LAMPORTS_PER_SOL });
+    fundToken(wallets[0], 2500000n);
+    fundToken(wallets[1], 18446744073709551615n);
+
+    const balances = await fetchBalances(wallets, configFor({ batchSize: 4, tokens: [{ name: 'PAWS', mint: MINT }] }));
+
+    assert.deepEqual(balances.get(wallets[0]), { sol: 1.5, PAWS: 2.5 });
+    assert.deepEqual(balances.get(wallets[1]), { sol: 0, PAWS: '18446744073709.551615' });
+    assert.deepEqual(balances.get(wallets[4]), { sol: 0, PAWS: 0 });
+
+    // One call for the mint, then two wallets (two accounts each) per call
+    assert.deepEqual(rpc.requests.map(request => request.params[0].length), [1, 4, 4, 2]);
+  });
+
+  test('retries failed calls and leaves wallets without balances when the RPC keeps failing', async () => {
+    const wallets = [createWallet().publicKey, createWallet().publicKey];
+    rpc.setAccount(wallets[1], { lamports: 42 });
+
+    rpc.failNext(1);
+    const retried = await fetchBalances(wallets, configFor({}));
+    assert.deepEqual(retried.get(wallets[1]), { sol: 0.000000042 });
+
+    rpc.failNext(3);
+    const failed = await fetchBalances(wallets, configFor({}));
+    assert.equal(failed.get(wallets[0]), null);
+  });
+
+  test('rejects tokens that cannot be looked up', async () => {
+    const missing = createWallet().publicKey;
+
+    await assert.rejects(fetchBalances([], configFor({ tokens: [{ mint: missing }] })), /does not exist/);
+    assert.throws(() => resolveTokenSettings(configFor({ tokens: [{ mint: 'not-a-key' }] })), /Invalid token mint "not-a-key"/);
+    assert.throws(() => resolveTokenSettings(configFor({ tokens: [{ name: 'sol', mint: MINT }] })), /"sol" is used more than once/);
+  });
+
+  test('adds balances to results, summary and CSV columns', async () => {
+    const server = createMockPawsServer({ defaultResponse: responses.eligible(10) });
+    const endpoint = await server.listen();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'paws-balances-'));
+    const wallets = [createWallet(), createWallet()];
+    rpc.setAccount(wallets[0].publicKey, { lamports: 2 * LAMPORTS_PER_SOL });
+    fundToken(wallets[1].publicKey, 7000000n);
+
+    try {
+      const config = createTestConfig(endpoint, {
+        balances: { enabled: true, rpcUrl, tokens: [{ name: 'PAWS', mint: MINT }] }
+      });
+      const balances = await fetchBalances(wallets.map(wallet => wallet.publicKey), config);
+      const checker = createChecker(config);
+      const writer = createResultWriter({ baseDir: dir, formats: ['csv'], balances: balanceColumns(config) });
+      checker.on('walletDone', ({ result }) => writer.write(result));
+
+      const { results, summary } = await checker.checkAll(wallets.map(wallet => wallet.privateKey), { balances });
+      const { runDir } = await writer.close(summary);
+      checker.close();
+
+      assert.deepEqual(results.map(result => result.balances), [{ sol: 2, PAWS: 0 }, { sol: 0, PAWS: 7 }]);
+      assert.deepEqual(summary.totalBalances, { sol: 2, PAWS: 7 });
+
+      const [header, ...rows] = (await fs.readFile(path.join(runDir, 'results.csv'), 'utf8')).trim().split('\n');
+      assert.ok(header.endsWith(',balance.sol,balance.PAWS'));
+      assert.deepEqual(rows.map(row => row.split(',').slice(-2)).sort(), [['0', '7'], ['2', '0']]);
+    } finally {
+      await server.close();
+      await fs.remove(dir);
+    }
+  });
+});
+
+// Run against a local validator with: solana-test-validator, then
+// PAWS_TEST_RPC_URL=http://127.0.0.1:8899 npm test
+describe('fetchBalances against a Solana RPC', { skip: !process.env.PAWS_TEST_RPC_URL }, () => {
+  test('reads the balance of an airdropped wallet', async () => {
+    const rpcUrl = process.env.PAWS_TEST_RPC_URL;
+    const connection = new Connection(rpcUrl, 'confirmed');
+    const wallet = createWallet();
+
+    const signature = await connection.requestAirdrop(new PublicKey(wallet.publicKey), LAMPORTS_PER_SOL);
+    await connection.confirmTransaction({ signature, ...await connection.getLatestBlockhash() }, 'confirmed');
+
+    const config = createTestConfig('http://127.0.0.1:1/og', { balances: { enabled: true, rpcUrl } });
+    const balances = await fetchBalances([wallet.publicKey, createWallet().publicKey], config);
+
+    assert.deepEqual([...balances.values()], [{ sol: 1 }, { sol: 0 }]);
+  });
+});
@@ -0,0 +1,169 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWallet, createTestConfig } from './helpers.js';
+import { createMockPawsServer, responses } from './mockServer.js';
+import { checkWalletEligibility, createChecker } from '../utils/checker.js';
+import { closeApiClients } from '../utils/api.js';
+import { STATUS } from '../utils/status.js';
+
+describe('checkWalletEligibility', () => {
+  let server;
+  let endpoint;
+  let config;
+
+  before(async () => {
+    server = createMockPawsServer();
+    endpoint = await server.listen();
+  });
+
+  after(async () => {
+    closeApiClients();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    config = createTestConfig(endpoint, { requestTimeout: 300 });
+  });
+
+  test('checks an eligible wallet in one attempt', async () => {
+    const wallet = createWallet();
+    server.script(wallet.publicKey, responses.eligible(250));
+
+    const result = await checkWalletEligibility(wallet.privateKey, null, config);
+
+    assert.equal(result.publicKey, wallet.publicKey);
+    assert.equal(result.status, STATUS.ELIGIBLE);
+    assert.equal(result.amount, 250);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.proxy, null);
+  });
+
+  test('retries rate limits and server errors until the API answers', async () => {
+    const wallet = createWallet();
+    server.script(wallet.publicKey, responses.rateLimited(), responses.serverError(), responses.eligible(10));
+
+    const result = await checkWalletEligibility(wallet.privateKey, null, config);
+
+    assert.equal(result.status, STATUS.ELIGIBLE);
+    assert.equal(result.attempts, 3);
+    assert.deepEqual(result.attemptHistory.map(entry => entry.outcome), ['error', 'error', 'ok']);
+    assert.deepEqual(result.attemptHistory.slice(0, 2).map(entry => entry.httpStatus), [429, 500]);
+    assert.equal(server.requests.length, 3);
+  });
+
+  test('reports the last error once the retries are used up', async () => {
+    const wallet = createWallet();
+    server.setDefault(responses.serverError());
+
+    const result = await checkWalletEligibility(wallet.privateKey, null, config);
+
+    assert.equal(result.status, STATUS.API_ERROR);
+    assert.equal(result.attempts, config.retryOptions.retries + 1);
+    assert.match(result.error, /500/);
+  });
+
+  test('does not retry a definitive answer', async () => {
+    const wallet = createWallet();
+
+    const result = await checkWalletEligibility(wallet.privateKey, null, config);
+
+    assert.equal(result.status, STATUS.NOT_ELIGIBLE);
+    assert.equal(result.attempts, 1);
+  });
+
+  test('reports a network error when the API keeps hanging', async () => {
+    const wallet = createWallet();
+    server.setDefault(responses.hang());
+
+    const result = await checkWalletEligibility(wallet.privateKey, null, { ...config, retryOptions: { ...config.retryOptions, retries: 1 } });
+
+    assert.equal(result.status, STATUS.NETWORK_ERROR);
+    assert.equal(result.attempts, 2);
+  });
+
+  test('rejects an invalid private key without calling the API', async () => {
+    const result = await checkWalletEligibility('not-a-key', null, config);
+
+    assert.equal(result.status, STATUS.INVALID_KEY);
+    assert.equal(server.requests.length, 0);
+  });
+});
+
+describe('createChecker', () => {
+  let server;
+  let endpoint;
+
+  before(async () => {
+    server = createMockPawsServer();
+    endpoint = await server.listen();
+  });
+
+  after(async () => {
+    closeApiClients();
+    await server.close();
+  });
+
+  test('checks every wallet and reports progress events', async () => {
+    const wallets = [createWallet(), createWallet(), createWallet()];
+    server.script(wallets[0].publicKey, responses.eligible(5));
+    server.script(wallets[2].publicKey, responses.rateLimited(), responses.eligible(7));
+
+    const checker = createChecker({
+      ...createTestConfig(endpoint),
+      concurrency: 2
+    });
+    const events = [];
+    checker.on('start', ({ total }) => events.push(['start', total]));
+    checker.on('walletDone', ({ index }) => events.push(['walletDone', index]));
+    checker.on('retry', ({ publicKey }) => events.push(['retry', publicKey]));
+    checker.on('response', ({ attempt, response }) => events.push(['response', attempt, response.httpStatus]));
+
+    const { results, summary } = await checker.checkAll(wallets.map(wallet => wallet.privateKey));
+    checker.close();
+
+    assert.deepEqual(results.map(result => result.status), [STATUS.ELIGIBLE, STATUS.NOT_ELIGIBLE, STATUS.ELIGIBLE]);
+    assert.equal(summary.totalTokens, 12);
+    assert.deepEqual(events[0], ['start', 3]);
+    assert.equal(events.filter(([name]) => name === 'walletDone').length, 3);
+    assert.deepEqual(events.filter(([name]) => name === 'retry'), [['retry', wallets[2].publicKey]]);
+    assert.deepEqual(events.filter(([name]) => name === 'response').map(([, attempt, httpStatus]) => [attempt, httpStatus]).sort(), [[1, 200], [1, 400], [1, 429], [2, 200]].sort());
+  });
+
+  test('keeps the request state of every checker apart', async () => {
+    const [failing, healthy] = [createWallet(), createWallet()];
+    server.script(failing.publicKey, responses.serverError());
+
+    const first = createChecker(createTestConfig(endpoint, {
+      retryOptions: { retries: 0, minTimeout: 0, maxTimeout: 0 },
+      circuitBreaker: { enabled: true, failureThreshold: 1, cooldown: 60000 }
+    }));
+    const second = createChecker(createTestConfig(endpoint));
+
+    const { summary: firstSummary } = await first.checkAll([failing.privateKey]);
+    first.close();
+    const { results, summary } = await second.checkAll([healthy.privateKey]);
+    second.close();
+
+    assert.equal(firstSummary.circuitPauses, 1);
+    assert.equal(summary.circuitPauses, 0);
+    assert.equal(results[0].status, STATUS.NOT_ELIGIBLE);
+    assert.equal(summary.connections.requests, 1);
+  });
+
+  test('reuses stored results', async () => {
+    const wallet = createWallet();
+    const stored = { publicKey: wallet.publicKey, status: STATUS.ELIGIBLE, amount: 3, resumed: true };
+    server.reset();
+
+    const checker = createChecker(createTestConfig(endpoint));
+    const { results, summary } = await checker.checkAll([wallet.privateKey], {
+      reuse: publicKey => (publicKey === wallet.publicKey ? stored : undefined)
+    });
+    checker.close();
+
+    assert.equal(results[0], stored);
+    assert.equal(summary.reused, 1);
+    assert.equal(server.requests.length, 0);
+  });
+});
@@ -0,0 +1,196 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { createWallet, createTestConfig } from './helpers.js';
+import { createMockPawsServer, responses } from './mockServer.js';
+import { registerAdapter, loadAdapters, resolveChecks, combineCheckResults } from '../utils/checks.js';
+import { ogAdapter } from '../utils/adapters/og.js';
+import { checkWalletEligibility } from '../utils/checker.js';
+import { closeApiClients } from '../utils/api.js';
+import { resolveConfig } from '../utils/config.js';
+import { buildSummary } from '../utils/resultWriter.js';
+import { STATUS } from '../utils/status.js';
+
+/**
+ * Adapter for a campaign answering { allocation } on any 2xx, registered
+ * for the tests below
+ */
+const campaignAdapter = registerAdapter({
+  name: 'campaign',
+  buildPayload: ({ signature, publicKey, message }) => ({ signature, publicKey, token: message, campaign: 'spring' }),
+  parseResponse: ({ httpStatus, data }) => {
+    if (httpStatus !== 200) {
+      return { status: STATUS.API_ERROR, amount: 0, error: `HTTP error ${httpStatus}` };
+    }
+
+    return data.allocation > 0
+      ? { status: STATUS.ELIGIBLE, amount: data.allocation, error: null }
+      : { status: STATUS.NOT_ELIGIBLE, amount: 0, error: 'No allocation' };
+  }
+});
+
+describe('ogAdapter', () => {
+  test('reads the amount of eligible wallets', () => {
+    assert.deepEqual(ogAdapter.parseResponse({ httpStatus: 200, data: { success: true, data: 42 } }), {
+      status: STATUS.ELIGIBLE,
+      amount: 42,
+      error: null
+    });
+  });
+
+  test('treats "No OG drop" as not eligible and other answers as API errors', () => {
+    assert.equal(ogAdapter.parseResponse({ httpStatus: 400, data: { success: false, error: 'No OG drop' } }).status, STATUS.NOT_ELIGIBLE);
+    assert.equal(ogAdapter.parseResponse({ httpStatus: 200, data: { success: false, error: 'No OG drop' } }).status, STATUS.NOT_ELIGIBLE);
+    assert.deepEqual(ogAdapter.parseResponse({ httpStatus: 403, data: 'Forbidden' }), {
+      status: STATUS.API_ERROR,
+      amount: 0,
+      error: 'HTTP error 403'
+    });
+  });
+});
+
+describe('resolveChecks', () => {
+  test('runs the OG check by default', () => {
+    const { config } = resolveConfig({});
+    const [check, ...rest] = resolveChecks(config);
+
+    assert.equal(rest.length, 0);
+    assert.equal(check.name, 'og');
+    assert.equal(check.adapter, ogAdapter);
+    assert.equal(check.endpoint, config.apiEndpoint);
+    assert.equal(check.signatureMessage, config.signatureMessage);
+  });
+
+  test('fills in check settings and skips disabled checks', () => {
+    const { config } = resolveConfig({
+      checks: [
+        { adapter: 'og' },
+        { name: 'spring', adapter: 'campaign', endpoint: 'https://example.com/spring', signatureMessage: 'spring' },
+        { name: 'off', adapter: 'campaign', enabled: false }
+      ]
+    });
+
+    const checks = resolveChecks(config);
+
+    assert.deepEqual(checks.map(check => check.name), ['og', 'spring']);
+    assert.equal(checks[1].adapter, campaignAdapter);
+    assert.equal(checks[1].endpoint, 'https://example.com/spring');
+    assert.equal(checks[1].signatureMessage, 'spring');
+  });
+
+  test('rejects unknown adapters and duplicate names', () => {
+    assert.throws(() => resolveChecks(resolveConfig({ checks: [{ adapter: 'nope' }] }).config), /Unknown check adapter "nope"/);
+    assert.throws(() => resolveChecks(resolveConfig({ checks: [{ adapter: 'og' }, { adapter: 'og' }] }).config), /"og" is used more than once/);
+    assert.throws(() => resolveChecks(resolveConfig({ checks: [] }).config), /No checks enabled/);
+  });
+
+  test('reports invalid check settings with their position', () => {
+    assert.throws(() => resolveConfig({ checks: [{ adapter: 'og' }, { endpoint: 'ftp://nope' }] }), /checks\[1\]\.endpoint: expected http\(s\) URL/);
+    assert.throws(() => resolveConfig({ checks: ['og'] }), /checks\[0\]: expected an object/);
+  });
+
+  test('loads adapters from module paths', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'paws-adapter-'));
+    const modulePath = path.join(dir, 'airdrop.mjs');
+    await fs.writeFile(modulePath, `export default {
+      name: 'airdrop',
+      buildPayload: ({ publicKey }) => ({ publicKey }),
+      parseResponse: () => ({ status: 'NOT_ELIGIBLE', amount: 0, error: null })
+    };\n`);
+
+    try {
+      const { config } = resolveConfig({ checks: [{ adapter: modulePath }] });
+      assert.throws(() => resolveChecks(config), /is not loaded/);
+
+      await loadAdapters(config);
+      const [check] = resolveChecks(config);
+
+      assert.equal(check.name, 'airdrop');
+      assert.deepEqual(check.adapter.buildPayload({ publicKey: 'x' }), { publicKey: 'x' });
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
+
+describe('combineCheckResults', () => {
+  const notEligible = { status: STATUS.NOT_ELIGIBLE, eligible: false, amount: 0, error: 'No OG drop' };
+  const eligible = { status: STATUS.ELIGIBLE, eligible: true, amount: 5, error: null };
+
+  test('adds up eligible checks', () => {
+    assert.deepEqual(combineCheckResults({ a: notEligible, b: eligible, c: { ...eligible, amount: 2 } }), {
+      status: STATUS.ELIGIBLE,
+      eligible: true,
+      amount: 7,
+      error: 'a: No OG drop'
+    });
+  });
+
+  test('reports the wallet as errored when any check errored', () => {
+    const failed = { status: STATUS.NETWORK_ERROR, eligible: false, amount: 0, error: 'timeout' };
+    const combined = combineCheckResults({ a: eligible, b: failed });
+
+    assert.equal(combined.status, STATUS.NETWORK_ERROR);
+    assert.equal(combined.error, 'b: timeout');
+  });
+});
+
+describe('checkWalletEligibility with several checks', () => {
+  let server;
+  let endpoint;
+
+  before(async () => {
+    server = createMockPawsServer();
+    endpoint = await server.listen();
+  });
+
+  after(async () => {
+    closeApiClients();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  test('runs every check and reports each of them', async () => {
+    const wallet = createWallet();
+    const config = createTestConfig(endpoint, {
+      checks: [
+        { adapter: 'og' },
+        { name: 'spring', adapter: 'campaign', endpoint: endpoint.replace(/og$/, 'spring') }
+      ]
+    });
+    server.script(wallet.publicKey, responses.notEligible(), { status: 200, body: { allocation: 30 } });
+
+    const result = await checkWalletEligibility(wallet.privateKey, null, config);
+
+    assert.equal(result.status, STATUS.ELIGIBLE);
+    assert.equal(result.amount, 30);
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(result.attemptHistory.map(entry => entry.check), ['og', 'spring']);
+    assert.equal(result.checks.og.status, STATUS.NOT_ELIGIBLE);
+    assert.equal(result.checks.spring.status, STATUS.ELIGIBLE);
+    assert.equal(result.checks.spring.amount, 30);
+    assert.deepEqual(server.requests.map(request => request.path), ['/v1/wallet/solana/og', '/v1/wallet/solana/spring']);
+    assert.equal(server.requests[1].payload.campaign, 'spring');
+
+    const summary = buildSummary([result]);
+    assert.deepEqual(summary.byCheck, {
+      og: { eligible: 0, notEligible: 1, errors: 0, totalTokens: 0 },
+      spring: { eligible: 1, notEligible: 0, errors: 0, totalTokens: 30 }
+    });
+  });
+
+  test('applies key errors to every check', async () => {
+    const config = createTestConfig(endpoint, { checks: [{ adapter: 'og' }, { adapter: 'campaign' }] });
+
+    const result = await checkWalletEligibility('broken', null, config);
+
+    assert.equal(result.status, STATUS.INVALID_KEY);
+    assert.deepEqual(Object.values(result.checks).map(check => check.status), [STATUS.INVALID_KEY, STATUS.INVALID_KEY]);
+    assert.equal(server.requests.length, 0);
+  });
+});
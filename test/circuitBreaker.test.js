@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { createCircuitBreaker, CIRCUIT_STATES } from '../utils/circuitBreaker.js';
+
+describe('createCircuitBreaker', () => {
+  test('opens after consecutive failures and closes after a successful probe', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldown: 20 });
+    const tickets = [await breaker.acquire(), await breaker.acquire()];
+
+    tickets.forEach(ticket => breaker.record(ticket, true));
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+
+    const probe = await breaker.acquire();
+    assert.equal(probe.probe, true);
+    assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+
+    breaker.record(probe, false);
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.pauses, 1);
+  });
+
+  test('lets only the probe decide, ignoring requests sent before the pause', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldown: 20 });
+    const early = await breaker.acquire();
+    const late = await breaker.acquire();
+
+    breaker.record(early, true);
+    const probe = await breaker.acquire();
+
+    // A request from before the pause settles while the probe is in flight
+    breaker.record(late, false);
+    assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+
+    // Requests arriving now wait for the probe
+    const waiting = breaker.acquire();
+    breaker.record(probe, true);
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.pauses, 2);
+
+    const next = await waiting;
+    assert.equal(next.probe, true);
+    breaker.record(next, false);
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+  });
+});
@@ -0,0 +1,67 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { createWallet, createTestConfig } from './helpers.js';
+import { runDryRun, DRY_RUN_DIR } from '../commands/dryRun.js';
+import { createKeypairFromPrivateKey, signMessage, verifySignature } from '../utils/solana.js';
+import { EXIT_CODES } from '../utils/cli.js';
+
+describe('verifySignature', () => {
+  const message = 'sign me';
+
+  test('accepts a signature of the message', () => {
+    const signedData = signMessage(createKeypairFromPrivateKey(createWallet().privateKey), message);
+
+    assert.equal(verifySignature(signedData, message), true);
+  });
+
+  test('rejects another message or another key', () => {
+    const signedData = signMessage(createKeypairFromPrivateKey(createWallet().privateKey), message);
+
+    assert.equal(verifySignature(signedData, 'other message'), false);
+    assert.equal(verifySignature({ ...signedData, publicKey: createWallet().publicKey }, message), false);
+    assert.equal(verifySignature({ ...signedData, signature: 'not base58!' }, message), false);
+  });
+});
+
+describe('runDryRun', () => {
+  let outputDir;
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'paws-dry-run-'));
+  });
+
+  after(async () => {
+    await fs.remove(outputDir);
+  });
+
+  test('writes the addresses and signatures of every wallet', async () => {
+    const wallets = [createWallet(), createWallet()];
+    const config = createTestConfig('http://127.0.0.1:1', { output: { dir: outputDir } });
+
+    const exitCode = await runDryRun(wallets.map(wallet => wallet.privateKey), config, { signatures: true });
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    const addresses = await fs.readFile(path.join(outputDir, DRY_RUN_DIR, 'addresses.txt'), 'utf8');
+    assert.deepEqual(addresses.trim().split('\n'), wallets.map(wallet => wallet.publicKey));
+
+    const signatures = (await fs.readFile(path.join(outputDir, DRY_RUN_DIR, 'signatures.txt'), 'utf8')).trim().split('\n');
+    signatures.forEach((line, index) => {
+      const [publicKey, signature] = line.split(':');
+      assert.equal(publicKey, wallets[index].publicKey);
+      assert.equal(verifySignature({ publicKey, signature }, config.signatureMessage), true);
+    });
+  });
+
+  test('reports keys that cannot be loaded', async () => {
+    const config = createTestConfig('http://127.0.0.1:1', { output: { dir: outputDir } });
+
+    const exitCode = await runDryRun([createWallet().privateKey, 'broken'], config, {});
+
+    assert.equal(exitCode, EXIT_CODES.WALLET_ERRORS);
+    const addresses = await fs.readFile(path.join(outputDir, DRY_RUN_DIR, 'addresses.txt'), 'utf8');
+    assert.equal(addresses.trim().split('\n').length, 1);
+  });
+});
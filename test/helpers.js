@@ -0,0 +1,43 @@
+import bs58 from 'bs58';
+import { Keypair } from '@solana/web3.js';
+import { configureLogger } from '../utils/logger.js';
+import { resolveConfig } from '../utils/config.js';
+import { configureRequestGate } from '../utils/api.js';
+
+// Keep test output readable
+configureLogger({ console: false, file: false });
+
+/**
+ * Create a random wallet
+ * @returns {Object} - privateKey (base58) and publicKey
+ */
+export const createWallet = () => {
+  const keypair = Keypair.generate();
+  return {
+    privateKey: bs58.encode(keypair.secretKey),
+    publicKey: keypair.publicKey.toBase58()
+  };
+};
+
+/**
+ * Build a configuration pointing at the mock server, with fast retries and
+ * no delays. The request gate is reset for every configuration.
+ * @param {string} apiEndpoint - Mock server endpoint
+ * @param {Object} overrides - Settings replacing the test defaults
+ * @returns {Object} - Resolved configuration
+ */
+export const createTestConfig = (apiEndpoint, overrides = {}) => {
+  const { config } = resolveConfig({
+    apiEndpoint,
+    enableProxy: false,
+    requestTimeout: 2000,
+    delayBetweenAccounts: { min: 0, max: 0 },
+    retryOptions: { retries: 2, minTimeout: 0, maxTimeout: 0 },
+    circuitBreaker: { enabled: false },
+    progress: { enabled: false },
+    ...overrides
+  });
+
+  configureRequestGate(config);
+  return config;
+};
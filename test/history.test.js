@@ -0,0 +1,128 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import './helpers.js';
+import { createHistoryStore, diffRuns, snapshotConfig } from '../utils/history.js';
+import { resolveConfig } from '../utils/config.js';
+import { REDACTED } from '../utils/logger.js';
+import { STATUS } from '../utils/status.js';
+
+/**
+ * Build a history document from wallet entries
+ * @param {string} runId - Run id
+ * @param {Object[]} wallets - publicKey, status and amount of each wallet
+ * @returns {Object} - History document
+ */
+const run = (runId, wallets) => ({ runId, wallets: wallets.map(wallet => ({ amount: 0, error: null, ...wallet })) });
+
+describe('diffRuns', () => {
+  test('sorts changed wallets into categories', () => {
+    const from = run('a', [
+      { publicKey: 'new', status: STATUS.NOT_ELIGIBLE },
+      { publicKey: 'recovered', status: STATUS.NETWORK_ERROR },
+      { publicKey: 'lost', status: STATUS.ELIGIBLE, amount: 10 },
+      { publicKey: 'changed', status: STATUS.ELIGIBLE, amount: 10 },
+      { publicKey: 'broken', status: STATUS.ELIGIBLE, amount: 10 },
+      { publicKey: 'same', status: STATUS.ELIGIBLE, amount: 10 },
+      { publicKey: 'gone', status: STATUS.NOT_ELIGIBLE }
+    ]);
+    const to = run('b', [
+      { publicKey: 'new', status: STATUS.ELIGIBLE, amount: 5 },
+      { publicKey: 'recovered', status: STATUS.ELIGIBLE, amount: 7 },
+      { publicKey: 'lost', status: STATUS.NOT_ELIGIBLE },
+      { publicKey: 'changed', status: STATUS.ELIGIBLE, amount: 12 },
+      { publicKey: 'broken', status: STATUS.API_ERROR, error: 'HTTP 500' },
+      { publicKey: 'same', status: STATUS.ELIGIBLE, amount: 10 },
+      { publicKey: 'fresh', status: STATUS.NOT_ELIGIBLE }
+    ]);
+
+    const diff = diffRuns(from, to);
+
+    assert.deepEqual(diff.newlyEligible, [
+      { publicKey: 'new', amount: 5, previousStatus: STATUS.NOT_ELIGIBLE },
+      { publicKey: 'recovered', amount: 7, previousStatus: STATUS.NETWORK_ERROR }
+    ]);
+    assert.deepEqual(diff.noLongerEligible, [{ publicKey: 'lost', previousAmount: 10 }]);
+    assert.deepEqual(diff.amountChanged, [{ publicKey: 'changed', previousAmount: 10, amount: 12 }]);
+    assert.deepEqual(diff.newlyErroring, [{ publicKey: 'broken', status: STATUS.API_ERROR, error: 'HTTP 500', previousStatus: STATUS.ELIGIBLE }]);
+    assert.deepEqual(diff.added, ['fresh']);
+    assert.deepEqual(diff.removed, ['gone']);
+    assert.deepEqual(diff.statusChanged, []);
+    assert.equal(diff.unchanged, 1);
+  });
+
+  test('does not report wallets that keep erroring as newly erroring', () => {
+    const diff = diffRuns(
+      run('a', [{ publicKey: 'x', status: STATUS.NETWORK_ERROR }, { publicKey: 'y', status: STATUS.API_ERROR }]),
+      run('b', [{ publicKey: 'x', status: STATUS.API_ERROR }, { publicKey: 'y', status: STATUS.API_ERROR }])
+    );
+
+    assert.equal(diff.newlyErroring.length, 0);
+    assert.deepEqual(diff.statusChanged, [{ publicKey: 'x', status: STATUS.API_ERROR, previousStatus: STATUS.NETWORK_ERROR }]);
+    assert.equal(diff.unchanged, 1);
+  });
+
+  test('lists other status changes instead of counting them as unchanged', () => {
+    const diff = diffRuns(
+      run('a', [
+        { publicKey: 'answered', status: STATUS.API_ERROR },
+        { publicKey: 'unexpected', status: STATUS.UNEXPECTED_RESPONSE },
+        { publicKey: 'same', status: STATUS.NOT_ELIGIBLE }
+      ]),
+      run('b', [
+        { publicKey: 'answered', status: STATUS.NOT_ELIGIBLE },
+        { publicKey: 'unexpected', status: STATUS.NOT_ELIGIBLE },
+        { publicKey: 'same', status: STATUS.NOT_ELIGIBLE }
+      ])
+    );
+
+    assert.deepEqual(diff.statusChanged, [
+      { publicKey: 'answered', status: STATUS.NOT_ELIGIBLE, previousStatus: STATUS.API_ERROR },
+      { publicKey: 'unexpected', status: STATUS.NOT_ELIGIBLE, previousStatus: STATUS.UNEXPECTED_RESPONSE }
+    ]);
+    assert.equal(diff.unchanged, 1);
+  });
+});
+
+describe('createHistoryStore', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'paws-history-'));
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  test('saves, lists and loads runs in order', async () => {
+    const history = createHistoryStore(dir);
+    const { config } = resolveConfig({
+      mnemonic: { passphrase: 'secret words' },
+      balances: { rpcUrl: 'https://rpc.example.com/?api-key=secret' }
+    });
+    const summary = { totalWallets: 1, eligible: 1, notEligible: 0, errors: 0, totalTokens: 3, finishedAt: '2024-05-02T00:00:00.000Z' };
+    const results = [{ publicKey: 'wallet', status: STATUS.ELIGIBLE, eligible: true, amount: 3, attempts: 1 }];
+
+    await history.save({ runId: '2024-05-02_00-00-00', config, summary, results });
+    await history.save({ runId: '2024-05-01_00-00-00', config, summary, results });
+
+    assert.deepEqual((await history.list()).map(entry => entry.runId), ['2024-05-01_00-00-00', '2024-05-02_00-00-00']);
+
+    const stored = await history.load('2024-05-02_00-00-00');
+    assert.deepEqual(stored.wallets, [{ publicKey: 'wallet', status: STATUS.ELIGIBLE, amount: 3, error: null }]);
+    assert.equal(stored.config.mnemonic.passphrase, REDACTED);
+    assert.equal(stored.config.balances.rpcUrl, REDACTED);
+    await assert.rejects(history.load('missing'), /not found/);
+  });
+
+  test('leaves the configuration it snapshots untouched', () => {
+    const { config } = resolveConfig({ mnemonic: { passphrase: 'secret words' } });
+
+    snapshotConfig(config);
+
+    assert.equal(config.mnemonic.passphrase, 'secret words');
+  });
+});
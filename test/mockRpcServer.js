@@ -0,0 +1,134 @@
+import http from 'http';
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * SPL Token program, owner of the mock mints and token accounts
+ */
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+/**
+ * Account data of an initialized mint
+ * @param {number} decimals - Token decimals
+ * @returns {Buffer} - 82-byte mint account data
+ */
+export const mintData = (decimals) => {
+  const data = Buffer.alloc(82);
+  data[44] = decimals;
+  data[45] = 1;
+  return data;
+};
+
+/**
+ * Account data of a token account
+ * @param {string} mint - Mint address
+ * @param {string} owner - Wallet address
+ * @param {bigint} amount - Balance in base units
+ * @returns {Buffer} - 165-byte token account data
+ */
+export const tokenAccountData = (mint, owner, amount) => {
+  const data = Buffer.alloc(165);
+  new PublicKey(mint).toBuffer().copy(data, 0);
+  new PublicKey(owner).toBuffer().copy(data, 32);
+  data.writeBigUInt64LE(amount, 64);
+  return data;
+};
+
+/**
+ * Create a local stand-in for a Solana RPC node that answers
+ * getMultipleAccounts (web3.js getMultipleAccountsInfo) from a map of accounts
+ * @returns {Object} - Mock RPC server
+ */
+export const createMockRpcServer = () => {
+  const accounts = new Map();
+  const requests = [];
+  let failures = 0;
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(data);
+      requests.push({ method, params });
+
+      if (failures > 0) {
+        failures--;
+        res.writeHead(503, { 'content-type': 'text/plain' });
+        res.end('Service unavailable');
+        return;
+      }
+
+      const body = method === 'getMultipleAccounts'
+        ? {
+          jsonrpc: '2.0',
+          id,
+          result: {
+            context: { slot: 1 },
+            value: params[0].map((address) => {
+              const account = accounts.get(address);
+              return account
+                ? {
+                  data: [account.data.toString('base64'), 'base64'],
+                  executable: false,
+                  lamports: account.lamports,
+                  owner: account.owner,
+                  rentEpoch: 0,
+                  space: account.data.length
+                }
+                : null;
+            })
+          }
+        }
+        : { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } };
+
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return {
+    /**
+     * Start listening on a free local port
+     * @returns {Promise<string>} - RPC URL
+     */
+    listen: () => new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    }),
+    /**
+     * Stop the server
+     * @returns {Promise<void>}
+     */
+    close: () => new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    }),
+    /**
+     * Add or replace an account
+     * @param {string} address - Account address
+     * @param {Object} account - lamports, owner (default: system program) and data
+     * @returns {void}
+     */
+    setAccount: (address, { lamports = 0, owner = '11111111111111111111111111111111', data = Buffer.alloc(0) }) => {
+      accounts.set(address, { lamports, owner, data });
+    },
+    /**
+     * Answer the next requests with 503
+     * @param {number} count - Number of failing requests
+     * @returns {void}
+     */
+    failNext: (count) => {
+      failures = count;
+    },
+    /**
+     * Forget accounts, failures and recorded requests
+     * @returns {void}
+     */
+    reset: () => {
+      accounts.clear();
+      requests.length = 0;
+      failures = 0;
+    },
+    requests
+  };
+};
@@ -0,0 +1,171 @@
+import http from 'http';
+import net from 'net';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import { CONFIG_SCHEMA } from '../utils/config.js';
+
+/**
+ * Scripted answers of the mock server. Each factory returns a response
+ * description that can be queued for a wallet or used as the default.
+ */
+export const responses = {
+  eligible: (amount = 100) => ({ status: 200, body: { success: true, data: amount } }),
+  notEligible: () => ({ status: 400, body: { success: false, error: 'No OG drop' } }),
+  rateLimited: (retryAfter = null) => ({
+    status: 429,
+    headers: retryAfter !== null ? { 'retry-after': String(retryAfter) } : {},
+    body: { success: false, error: 'Too many requests' }
+  }),
+  serverError: () => ({ status: 500, body: { success: false, error: 'Internal server error' } }),
+  malformed: () => ({ status: 200, raw: '{"success": tru' }),
+  hang: () => ({ hang: true })
+};
+
+/**
+ * Check the signature of a request body against the signed message
+ * @param {Object} payload - Request body
+ * @param {string} signatureMessage - Message the wallets have to sign
+ * @returns {boolean} - True when the signature is valid
+ */
+const verifyPayload = (payload, signatureMessage) => {
+  try {
+    if (payload.token !== signatureMessage) {
+      return false;
+    }
+
+    return nacl.sign.detached.verify(
+      new TextEncoder().encode(signatureMessage),
+      bs58.decode(payload.signature),
+      bs58.decode(payload.publicKey)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Create a local stand-in for the Paws eligibility API. Every request
+ * must carry a valid ed25519 signature of signatureMessage, the answer is
+ * taken from the wallet's queue or the default response. The server also
+ * accepts CONNECT requests so it can be used as an HTTP proxy to itself.
+ * @param {Object} options - Server options
+ * @param {string} options.signatureMessage - Message the wallets have to sign (default: the configured default)
+ * @param {Object} options.defaultResponse - Answer when a wallet has nothing queued
+ * @returns {Object} - Mock server
+ */
+export const createMockPawsServer = ({
+  signatureMessage = CONFIG_SCHEMA.properties.signatureMessage.default,
+  defaultResponse = responses.notEligible()
+} = {}) => {
+  const queues = new Map();
+  const requests = [];
+  const tunnels = [];
+  const tunnelSockets = new Set();
+  let fallback = defaultResponse;
+
+  const send = (res, { status, headers = {}, body, raw }) => {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(raw ?? JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        send(res, { status: 400, body: { success: false, error: 'Invalid JSON' } });
+        return;
+      }
+
+      const verified = verifyPayload(payload, signatureMessage);
+      requests.push({ publicKey: payload.publicKey, path: req.url, payload, verified, headers: req.headers });
+
+      if (!verified) {
+        send(res, { status: 401, body: { success: false, error: 'Invalid signature' } });
+        return;
+      }
+
+      const queue = queues.get(payload.publicKey);
+      const response = queue?.length > 0 ? queue.shift() : fallback;
+      if (!response.hang) {
+        send(res, response);
+      }
+    });
+  });
+
+  // Tunnel proxy requests back to this server
+  server.on('connect', (req, socket, head) => {
+    tunnels.push(req.url);
+    tunnelSockets.add(socket);
+    socket.on('close', () => tunnelSockets.delete(socket));
+
+    const upstream = net.connect(server.address().port, '127.0.0.1', () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('error', () => upstream.destroy());
+  });
+
+  return {
+    /**
+     * Start listening on a free local port
+     * @returns {Promise<string>} - API endpoint URL
+     */
+    listen: () => new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/v1/wallet/solana/og`));
+    }),
+    /**
+     * Stop the server and drop open connections, including hanging requests
+     * @returns {Promise<void>}
+     */
+    close: () => new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+      tunnelSockets.forEach(socket => socket.destroy());
+    }),
+    /**
+     * Queue answers for a wallet, used in order before the default
+     * @param {string} publicKey - Wallet address
+     * @param {...Object} answers - Responses (see responses)
+     * @returns {void}
+     */
+    script: (publicKey, ...answers) => {
+      queues.set(publicKey, [...(queues.get(publicKey) || []), ...answers]);
+    },
+    /**
+     * Change the answer for wallets with nothing queued
+     * @param {Object} response - Response (see responses)
+     * @returns {void}
+     */
+    setDefault: (response) => {
+      fallback = response;
+    },
+    /**
+     * Forget queued answers and recorded requests
+     * @returns {void}
+     */
+    reset: () => {
+      queues.clear();
+      requests.length = 0;
+      tunnels.length = 0;
+      fallback = defaultResponse;
+    },
+    /**
+     * Proxy URL that tunnels to this server
+     * @returns {string} - http://127.0.0.1:port
+     */
+    get proxyUrl() {
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    requests,
+    tunnels
+  };
+};
@@ -0,0 +1,136 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import logger from '../utils/logger.js';
+import { createProgressDisplay, formatDuration } from '../utils/progress.js';
+import { STATUS } from '../utils/status.js';
+
+/**
+ * Stand-in for stdout that records everything written to it
+ * @param {boolean} isTTY - Whether the stream is a terminal
+ * @returns {Object} - Stream with the written chunks
+ */
+const createFakeStream = (isTTY) => {
+  const chunks = [];
+  return {
+    isTTY,
+    chunks,
+    write(chunk) {
+      chunks.push(chunk);
+      return true;
+    }
+  };
+};
+
+/**
+ * Remove terminal colors from a chunk
+ * @param {string} text - Written text
+ * @returns {string} - Text without color codes
+ */
+const stripColors = text => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+/**
+ * Feed a display the wallets of a run: one reused from a checkpoint,
+ * then one eligible, one not eligible and one erroring wallet
+ * @param {Object} display - Progress display
+ */
+const finishWallets = (display) => {
+  display.update({ status: STATUS.NOT_ELIGIBLE, resumed: true });
+  display.update({ status: STATUS.ELIGIBLE, amount: 5 });
+  display.update({ status: STATUS.NOT_ELIGIBLE });
+  display.update({ status: STATUS.API_ERROR });
+};
+
+const EXPECTED_LINE = 'Progress: 4/10 (40%) | eligible 1 | tokens 5 | errors 1 | 3.0/min | ETA 2m 00s';
+
+describe('formatDuration', () => {
+  test('formats seconds, minutes and hours', () => {
+    assert.equal(formatDuration(12400), '12s');
+    assert.equal(formatDuration(185000), '3m 05s');
+    assert.equal(formatDuration(3720000), '1h 02m');
+    assert.equal(formatDuration(-5), '0s');
+  });
+});
+
+describe('createProgressDisplay', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  test('computes the rate and ETA from the wallets checked in this run', () => {
+    const display = createProgressDisplay({ total: 10, stream: createFakeStream(false) });
+    display.start();
+    mock.timers.tick(60000);
+    finishWallets(display);
+
+    // The reused wallet counts as done but not towards the rate
+    const snapshot = display.snapshot();
+    assert.equal(snapshot.done, 4);
+    assert.equal(snapshot.perMinute, 3);
+    assert.equal(snapshot.etaMs, 120000);
+    display.stop();
+  });
+
+  test('logs a plain progress line every interval when the stream is not a terminal', () => {
+    const info = mock.method(logger, 'info', () => {});
+    const stream = createFakeStream(false);
+    const display = createProgressDisplay({ total: 10, interval: 30000, stream });
+
+    display.start();
+    assert.equal(display.live, false);
+    mock.timers.tick(30000);
+    finishWallets(display);
+    mock.timers.tick(30000);
+    display.stop();
+
+    assert.deepEqual(info.mock.calls.map(call => call.arguments[0]), [
+      'Progress: 0/10 (0%) | eligible 0 | tokens 0 | errors 0 | 0.0/min | ETA -',
+      EXPECTED_LINE,
+      EXPECTED_LINE
+    ]);
+    assert.deepEqual(stream.chunks, []);
+  });
+
+  test('keeps a status line below the output on a terminal and restores the stream on stop', () => {
+    const stream = createFakeStream(true);
+    const originalWrite = stream.write;
+    const display = createProgressDisplay({ total: 10, stream });
+
+    display.start();
+    assert.equal(display.live, true);
+    assert.notEqual(stream.write, originalWrite);
+    mock.timers.tick(60000);
+    finishWallets(display);
+    stream.chunks.length = 0;
+
+    // Other output clears the status line and it is drawn again below
+    stream.write('log line\n');
+    assert.deepEqual(stream.chunks.map(stripColors), ['\r\x1b[2K', 'log line\n', `\r\x1b[2K${EXPECTED_LINE}`]);
+
+    display.stop();
+    assert.equal(stream.write, originalWrite);
+    assert.equal(stream.chunks[stream.chunks.length - 1], '\r\x1b[2K');
+
+    stream.chunks.length = 0;
+    stream.write('after stop\n');
+    assert.deepEqual(stream.chunks, ['after stop\n']);
+  });
+
+  test('draws nothing when disabled', () => {
+    const info = mock.method(logger, 'info', () => {});
+    const stream = createFakeStream(true);
+    const display = createProgressDisplay({ total: 10, enabled: false, stream });
+
+    display.start();
+    mock.timers.tick(60000);
+    display.stop();
+
+    assert.equal(info.mock.callCount(), 0);
+    assert.deepEqual(stream.chunks, []);
+  });
+});
@@ -0,0 +1,135 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWallet, createTestConfig } from './helpers.js';
+import { createMockPawsServer, responses } from './mockServer.js';
+import { createProxyPool } from '../utils/proxyPool.js';
+import { parseProxy } from '../utils/proxy.js';
+import { checkWalletEligibility } from '../utils/checker.js';
+import { closeApiClients } from '../utils/api.js';
+import { STATUS } from '../utils/status.js';
+
+// Nothing listens on port 1, connections are refused right away
+const DEAD_PROXY = 'http://127.0.0.1:1';
+
+describe('createProxyPool', () => {
+  const proxies = ['10.0.0.1:8080', '10.0.0.2:8080', '10.0.0.3:8080'].map(parseProxy);
+
+  test('starts at the preferred position', () => {
+    const pool = createProxyPool(proxies);
+
+    assert.equal(pool.pick({ preferred: 0 }), proxies[0]);
+    assert.equal(pool.pick({ preferred: 4 }), proxies[1]);
+  });
+
+  test('skips excluded proxies while others are left', () => {
+    const pool = createProxyPool(proxies);
+
+    assert.equal(pool.pick({ preferred: 0, exclude: [proxies[0]] }), proxies[1]);
+    assert.equal(pool.pick({ preferred: 0, exclude: proxies }), proxies[0]);
+  });
+
+  test('benches a proxy after repeated failures', () => {
+    const pool = createProxyPool(proxies, { benchAfter: 2, benchDuration: 60000 });
+
+    pool.reportFailure(proxies[0], 5);
+    assert.equal(pool.pick({ preferred: 0 }), proxies[0]);
+
+    pool.reportFailure(proxies[0], 5);
+    assert.equal(pool.pick({ preferred: 0 }), proxies[1]);
+    assert.equal(pool.getStats()[0].benched, 1);
+  });
+
+  test('resets the failure streak on success', () => {
+    const pool = createProxyPool(proxies, { benchAfter: 2 });
+
+    pool.reportFailure(proxies[0], 5);
+    pool.reportSuccess(proxies[0], 5);
+    pool.reportFailure(proxies[0], 5);
+
+    assert.equal(pool.pick({ preferred: 0 }), proxies[0]);
+    assert.deepEqual(pool.getStats()[0], {
+      proxy: '10.0.0.1:8080',
+      requests: 3,
+      successes: 1,
+      failures: 2,
+      avgLatencyMs: 5,
+      benched: 0
+    });
+  });
+
+  test('uses the proxy that comes back first when all are benched', async () => {
+    const pool = createProxyPool(proxies.slice(0, 2), { benchAfter: 1, benchDuration: 60000 });
+
+    pool.reportFailure(proxies[1], 5);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    pool.reportFailure(proxies[0], 5);
+
+    assert.equal(pool.pick({ preferred: 0 }), proxies[1]);
+  });
+});
+
+describe('proxy failover', () => {
+  let server;
+  let endpoint;
+  let config;
+
+  before(async () => {
+    server = createMockPawsServer();
+    endpoint = await server.listen();
+  });
+
+  after(async () => {
+    closeApiClients();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    config = createTestConfig(endpoint, { enableProxy: true });
+  });
+
+  test('sends the request through the proxy', async () => {
+    const wallet = createWallet();
+    server.script(wallet.publicKey, responses.eligible(1));
+    const proxy = parseProxy(server.proxyUrl);
+
+    const result = await checkWalletEligibility(wallet.privateKey, proxy, config);
+
+    assert.equal(result.status, STATUS.ELIGIBLE);
+    assert.equal(result.proxy, `127.0.0.1:${proxy.port}`);
+    assert.equal(server.tunnels.length, 1);
+  });
+
+  test('retries through another proxy when one is unreachable', async () => {
+    const wallet = createWallet();
+    const dead = parseProxy(DEAD_PROXY);
+    const live = parseProxy(server.proxyUrl);
+    const pool = createProxyPool([dead, live]);
+    const failures = [];
+
+    const result = await checkWalletEligibility(wallet.privateKey, dead, config, pool, {
+      onProxyFailure: ({ proxy }) => failures.push(proxy)
+    });
+
+    assert.equal(result.status, STATUS.NOT_ELIGIBLE);
+    assert.equal(result.attempts, 2);
+    assert.equal(result.proxy, `127.0.0.1:${live.port}`);
+    assert.deepEqual(failures, ['127.0.0.1:1']);
+    assert.deepEqual(pool.getStats().map(stats => stats.failures), [1, 0]);
+  });
+
+  test('moves on from a rate-limited proxy', async () => {
+    const wallet = createWallet();
+    server.script(wallet.publicKey, responses.rateLimited(), responses.eligible(2));
+    const first = parseProxy(server.proxyUrl);
+    // Same server under another address, so the pool sees two proxies
+    const second = parseProxy(server.proxyUrl.replace('127.0.0.1', 'localhost'));
+    const pool = createProxyPool([first, second]);
+
+    const result = await checkWalletEligibility(wallet.privateKey, first, config, pool);
+
+    assert.equal(result.status, STATUS.ELIGIBLE);
+    assert.equal(result.proxy, `localhost:${second.port}`);
+    assert.deepEqual(result.attemptHistory.map(entry => entry.proxy), [`127.0.0.1:${first.port}`, `localhost:${second.port}`]);
+  });
+});
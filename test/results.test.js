@@ -0,0 +1,133 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { createWallet, createTestConfig } from './helpers.js';
+import { createMockPawsServer, responses } from './mockServer.js';
+import { checkWalletEligibility } from '../utils/checker.js';
+import { closeApiClients } from '../utils/api.js';
+import { saveResults } from '../utils/files.js';
+import { readResultRecords } from '../utils/resultReader.js';
+import {
+  readEncryptedKeys,
+  createResultWriter,
+  ENCRYPTED_KEYS_FILE,
+  OUTPUT_FORMATS,
+  RAW_RESPONSES_FILE,
+  LATEST_POINTER
+} from '../utils/resultWriter.js';
+import { STATUS } from '../utils/status.js';
+
+describe('saveResults', () => {
+  let server;
+  let baseDir;
+  let wallets;
+  let results;
+
+  before(async () => {
+    server = createMockPawsServer();
+    const config = createTestConfig(await server.listen(), { retryOptions: { retries: 0, minTimeout: 0, maxTimeout: 0 } });
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'paws-results-'));
+
+    wallets = [createWallet(), createWallet(), createWallet()];
+    server.script(wallets[0].publicKey, responses.eligible(12.5));
+    server.script(wallets[2].publicKey, responses.serverError());
+
+    results = [];
+    for (const wallet of wallets) {
+      results.push({ ...await checkWalletEligibility(wallet.privateKey, null, config), privateKey: wallet.privateKey });
+    }
+  });
+
+  after(async () => {
+    closeApiClients();
+    await server.close();
+    await fs.remove(baseDir);
+  });
+
+  test('writes one file per status and the summary', async () => {
+    const runDir = await saveResults(results, { baseDir, formats: ['txt', 'jsonl'] });
+
+    assert.equal((await fs.readFile(path.join(runDir, 'eligible.txt'), 'utf8')).trim(), `${wallets[0].publicKey}:12.5`);
+    assert.equal((await fs.readFile(path.join(runDir, 'noteligible.txt'), 'utf8')).trim(), wallets[1].publicKey);
+    assert.equal((await fs.readFile(path.join(runDir, 'api_error.txt'), 'utf8')).trim(), wallets[2].publicKey);
+
+    const summary = await fs.readJson(path.join(runDir, 'summary.json'));
+    assert.equal(summary.totalWallets, 3);
+    assert.equal(summary.eligible, 1);
+    assert.equal(summary.notEligible, 1);
+    assert.equal(summary.errors, 1);
+    assert.equal(summary.totalTokens, 12.5);
+  });
+
+  test('writes records that can be read back in every structured format', async () => {
+    const runDir = await saveResults(results, { baseDir, formats: ['jsonl', 'json', 'csv'] });
+
+    for (const fileName of ['results.jsonl', 'results.json', 'results.csv']) {
+      const records = await readResultRecords(path.join(runDir, fileName));
+      assert.deepEqual(records.map(record => record.publicKey), wallets.map(wallet => wallet.publicKey), fileName);
+      assert.deepEqual(records.map(record => record.status), [STATUS.ELIGIBLE, STATUS.NOT_ELIGIBLE, STATUS.API_ERROR], fileName);
+    }
+  });
+
+  test('follows latest.txt when there is no latest symlink', async () => {
+    const runDir = await saveResults(results, { baseDir, formats: ['jsonl'] });
+    const pointer = path.join(baseDir, LATEST_POINTER);
+    await fs.remove(pointer);
+    await fs.writeFile(`${pointer}.txt`, `${path.basename(runDir)}\n`);
+
+    const records = await readResultRecords(pointer);
+
+    assert.deepEqual(records.map(record => record.publicKey), wallets.map(wallet => wallet.publicKey));
+  });
+
+  test('leaves private keys out unless asked to', async () => {
+    const runDir = await saveResults(results, { baseDir, formats: OUTPUT_FORMATS });
+
+    for (const fileName of await fs.readdir(runDir)) {
+      const content = await fs.readFile(path.join(runDir, fileName), 'utf8');
+      wallets.forEach(wallet => assert.ok(!content.includes(wallet.privateKey), fileName));
+    }
+  });
+
+  test('encrypts private keys with the run password', async () => {
+    const runDir = await saveResults(results, {
+      baseDir,
+      formats: ['jsonl'],
+      includePrivateKeys: true,
+      keyPassword: 'secret'
+    });
+
+    const entries = await readEncryptedKeys(path.join(runDir, ENCRYPTED_KEYS_FILE), 'secret');
+    assert.deepEqual(entries.map(entry => entry.privateKey), wallets.map(wallet => wallet.privateKey));
+    assert.ok(!(await fs.readFile(path.join(runDir, 'results.jsonl'), 'utf8')).includes(wallets[0].privateKey));
+  });
+
+  test('captures every request with its raw response', async () => {
+    const writer = createResultWriter({ baseDir, formats: ['jsonl'], captureRaw: true });
+    await writer.writeRaw({
+      publicKey: wallets[0].publicKey,
+      check: 'og',
+      attempt: 1,
+      request: { method: 'POST', url: 'http://127.0.0.1/og', proxy: null, payload: { publicKey: wallets[0].publicKey } },
+      response: { httpStatus: 200, headers: {}, body: '{"success":true,"data":12.5}' },
+      durationMs: 5,
+      error: null
+    });
+    const { runDir } = await writer.close();
+
+    const lines = (await fs.readFile(path.join(runDir, RAW_RESPONSES_FILE), 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0]).response.body, '{"success":true,"data":12.5}');
+  });
+
+  test('never overwrites an earlier run', async () => {
+    const startedAt = new Date('2024-05-01T12:00:00');
+    const first = await saveResults(results, { baseDir, startedAt, formats: ['txt'] });
+    const second = await saveResults(results, { baseDir, startedAt, formats: ['txt'] });
+
+    assert.notEqual(first, second);
+    assert.ok(await fs.pathExists(first));
+  });
+});
@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { retry, parseRetryAfter, computeBackoff, isRetryableHttpStatus } from '../utils/retry.js';
+
+/**
+ * Error that the default retry policy retries
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties (httpStatus, retryAfterMs)
+ * @returns {Error} - Retryable error
+ */
+const retryableError = (message, details = {}) => Object.assign(new Error(message), { retryable: true, ...details });
+
+describe('retry', () => {
+  test('returns the value with the attempt history', async () => {
+    let calls = 0;
+    const { value, attempts, history } = await retry(async () => {
+      calls++;
+      if (calls < 3) {
+        throw retryableError('busy', { httpStatus: 503 });
+      }
+      return 'done';
+    }, { retries: 3, minTimeout: 0, maxTimeout: 0 });
+
+    assert.equal(value, 'done');
+    assert.equal(attempts, 3);
+    assert.deepEqual(history.map(entry => entry.outcome), ['error', 'error', 'ok']);
+    assert.equal(history[0].httpStatus, 503);
+  });
+
+  test('stops after the configured retries', async () => {
+    let calls = 0;
+    await assert.rejects(retry(async () => {
+      calls++;
+      throw retryableError('down');
+    }, { retries: 2, minTimeout: 0, maxTimeout: 0 }), (error) => {
+      assert.equal(error.attempts, 3);
+      assert.equal(error.history.length, 3);
+      return true;
+    });
+    assert.equal(calls, 3);
+  });
+
+  test('does not retry errors the policy rejects', async () => {
+    let calls = 0;
+    await assert.rejects(retry(async () => {
+      calls++;
+      throw new Error('bad request');
+    }, { retries: 5, minTimeout: 0, maxTimeout: 0 }));
+    assert.equal(calls, 1);
+  });
+
+  test('waits for Retry-After, capped at maxRetryAfter', async () => {
+    const delays = [];
+    let calls = 0;
+    await retry(async () => {
+      calls++;
+      if (calls === 1) {
+        throw retryableError('slow down', { retryAfterMs: 60000 });
+      }
+    }, {
+      retries: 1,
+      minTimeout: 0,
+      maxTimeout: 0,
+      maxRetryAfter: 20,
+      onRetry: ({ delayMs }) => delays.push(delayMs)
+    });
+
+    assert.deepEqual(delays, [20]);
+  });
+});
+
+describe('retry helpers', () => {
+  test('parses Retry-After seconds and dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+
+    assert.equal(parseRetryAfter('3', now), 3000);
+    assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now), 10000);
+    assert.equal(parseRetryAfter(undefined, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+  });
+
+  test('keeps the backoff between 0 and the capped exponential ceiling', () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      const delay = computeBackoff(attempt, { minTimeout: 100, maxTimeout: 1000 });
+      assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt));
+    }
+  });
+
+  test('retries timeouts, rate limits and server errors only', () => {
+    assert.deepEqual([400, 401, 404, 408, 429, 500, 503].map(isRetryableHttpStatus), [false, false, false, true, true, true, true]);
+  });
+});
@@ -0,0 +1,63 @@
+import { STATUS } from '../status.js';
+
+/**
+ * Answer of the OG endpoint for wallets without an allocation
+ */
+const NO_OG_DROP = 'No OG drop';
+
+/**
+ * Check adapter for the PAWS OG airdrop
+ * (POST { signature, publicKey, token, authToken } -> { success, data | error })
+ */
+export const ogAdapter = {
+  name: 'og',
+
+  // Shape of 2xx answers, anything else is reported as UNEXPECTED_RESPONSE
+  responseSchema: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      data: { type: ['amount', 'null'] },
+      error: { type: ['string', 'null'] }
+    }
+  },
+
+  /**
+   * Build the request body
+   * @param {Object} request - Signed request data
+   * @param {string} request.signature - Base58 signature of the message
+   * @param {string} request.publicKey - Wallet address
+   * @param {string} request.message - Signed message
+   * @returns {Object} - Request body
+   */
+  buildPayload: ({ signature, publicKey, message }) => ({
+    signature,
+    publicKey,
+    token: message,
+    authToken: ''
+  }),
+
+  /**
+   * Interpret a final (non-retryable) API response
+   * @param {Object} response - API response
+   * @param {number} response.httpStatus - HTTP status
+   * @param {any} response.data - Response body
+   * @returns {Object} - status, amount and error
+   */
+  parseResponse: ({ httpStatus, data }) => {
+    const ok = httpStatus >= 200 && httpStatus < 300;
+
+    if (ok && data?.success) {
+      return { status: STATUS.ELIGIBLE, amount: data.data, error: null };
+    }
+
+    // "No OG drop" comes as a 400, older API versions sent it with a 200
+    const apiError = data?.error || (ok ? 'Unknown error' : `HTTP error ${httpStatus}`);
+    if (apiError === NO_OG_DROP && (ok || httpStatus === 400)) {
+      return { status: STATUS.NOT_ELIGIBLE, amount: 0, error: apiError };
+    }
+
+    return { status: STATUS.API_ERROR, amount: 0, error: apiError };
+  }
+};
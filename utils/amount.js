@@ -0,0 +1,140 @@
+/**
+ * Non-negative decimal number without exponent (123, 0.5, 1000.000001)
+ */
+const DECIMAL = /^(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Write a number without exponent, keeping its shortest round-trip digits
+ * (1e21 -> 1000000000000000000000, 1e-7 -> 0.0000001)
+ * @param {number} value - Finite number
+ * @returns {string} - Plain decimal string
+ */
+const toPlainString = (value) => {
+  const [mantissa, exponent = '0'] = String(value).split('e');
+  const shift = Number(exponent);
+  if (shift === 0) {
+    return mantissa;
+  }
+
+  const [integer, fraction = ''] = mantissa.split('.');
+  const digits = integer + fraction;
+  const point = integer.length + shift;
+
+  if (point <= 0) {
+    return `0.${'0'.repeat(-point)}${digits}`;
+  }
+
+  return point >= digits.length
+    ? digits + '0'.repeat(point - digits.length)
+    : `${digits.slice(0, point)}.${digits.slice(point)}`;
+};
+
+/**
+ * Turn an amount from an API (number, decimal string or BigInt) into a
+ * canonical decimal string without leading or trailing zeros
+ * @param {any} value - Amount
+ * @returns {string|null} - Decimal string, null when the value is not a non-negative amount
+ */
+export const normalizeAmount = (value) => {
+  let text;
+
+  if (typeof value === 'bigint') {
+    text = value.toString();
+  } else if (typeof value === 'number' && Number.isFinite(value)) {
+    text = toPlainString(value);
+  } else if (typeof value === 'string') {
+    text = value.trim();
+  } else {
+    return null;
+  }
+
+  const match = DECIMAL.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const integer = match[1].replace(/^0+(?=\d)/, '');
+  const fraction = (match[2] ?? '').replace(/0+$/, '');
+  return fraction ? `${integer}.${fraction}` : integer;
+};
+
+/**
+ * Amount as stored in results: a number when it is exact as a number,
+ * otherwise the decimal string
+ * @param {any} value - Amount
+ * @returns {number|string|null} - Amount, null when invalid
+ */
+export const toAmountValue = (value) => {
+  const normalized = normalizeAmount(value);
+  if (normalized === null) {
+    return null;
+  }
+
+  return normalizeAmount(Number(normalized)) === normalized ? Number(normalized) : normalized;
+};
+
+/**
+ * Turn an integer amount in base units into a canonical decimal string
+ * (1500000000 lamports with 9 decimals -> 1.5)
+ * @param {bigint|number|string} baseUnits - Integer amount in base units
+ * @param {number} decimals - Number of decimals of the unit
+ * @returns {string} - Canonical decimal string
+ */
+export const formatUnits = (baseUnits, decimals) => {
+  const digits = BigInt(baseUnits).toString().padStart(decimals + 1, '0');
+  return normalizeAmount(decimals > 0 ? `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}` : digits);
+};
+
+/**
+ * Add two canonical decimal strings exactly
+ * @param {string} a - First amount
+ * @param {string} b - Second amount
+ * @returns {string} - Sum as canonical decimal string
+ */
+const addDecimals = (a, b) => {
+  const [aInteger, aFraction = ''] = a.split('.');
+  const [bInteger, bFraction = ''] = b.split('.');
+  const scale = Math.max(aFraction.length, bFraction.length);
+
+  const sum = BigInt(aInteger + aFraction.padEnd(scale, '0')) + BigInt(bInteger + bFraction.padEnd(scale, '0'));
+  return formatUnits(sum, scale);
+};
+
+/**
+ * Add up amounts without floating point errors, invalid amounts count as 0
+ * @param {any[]} values - Amounts
+ * @returns {string} - Total as canonical decimal string
+ */
+export const sumAmounts = (values) => {
+  return values.reduce((total, value) => {
+    const amount = normalizeAmount(value);
+    return amount === null ? total : addDecimals(total, amount);
+  }, '0');
+};
+
+/**
+ * Compare two amounts by value (10, "10.0" and 10n are equal)
+ * @param {any} a - First amount
+ * @param {any} b - Second amount
+ * @returns {boolean} - True when both are the same amount
+ */
+export const isSameAmount = (a, b) => normalizeAmount(a) === normalizeAmount(b);
+
+/**
+ * Parse a JSON document, keeping numbers that do not fit a JavaScript
+ * number exactly (large allocations in base units) as decimal strings
+ * @param {string} text - JSON text
+ * @returns {any} - Parsed value
+ */
+export const parseJsonLossless = (text) => {
+  // Strings are matched first so digits inside them are left alone
+  const safeText = text.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, (token) => {
+    if (token.startsWith('"') || !DECIMAL.test(token)) {
+      return token;
+    }
+
+    return typeof toAmountValue(token) === 'string' ? `"${token}"` : token;
+  });
+
+  return JSON.parse(safeText);
+};
@@ -1,15 +1,147 @@
 import axios from 'axios';
 import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
 import logger from './logger.js';
 import moment from 'moment';
+import { STATUS } from './status.js';
+import { resolveChecks } from './checks.js';
+import { parseJsonLossless, toAmountValue } from './amount.js';
+import { validateResponse } from './responseSchema.js';
+import { isSocksProxy } from './proxy.js';
+import { retry, isRetryableHttpStatus, parseRetryAfter } from './retry.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { KEEP_ALIVE_OPTIONS, trackConnectTime, createDirectAgents, createConnectionStats } from './connections.js';
+
+/**
+ * Create the request state of a run: rate limiter, circuit breaker,
+ * connection stats and the API clients by proxy URL ('direct' without
+ * proxy) and the settings baked into the client, each client with its own
+ * keep-alive agents. Every checker creates its own, so checkers embedded
+ * in the same process never throttle, pause or close each other.
+ * @param {Object} config - Configuration (rateLimit and circuitBreaker sections)
+ * @returns {Object} - Request context
+ */
+export const createRequestContext = (config = {}) => {
+  const clients = new Map();
+
+  return {
+    rateLimiter: createRateLimiter(config.rateLimit),
+    circuitBreaker: createCircuitBreaker(config.circuitBreaker ?? { enabled: false }),
+    connectionStats: createConnectionStats(),
+    clients,
+    /**
+     * Close the kept-alive connections of the context's clients
+     * @returns {void}
+     */
+    close: () => {
+      clients.forEach((client) => {
+        const { httpAgent, httpsAgent } = client.defaults;
+        httpAgent?.destroy();
+        if (httpsAgent !== httpAgent) {
+          httpsAgent?.destroy();
+        }
+      });
+      clients.clear();
+    }
+  };
+};
+
+/**
+ * Context of requests made without one, e.g. direct calls of
+ * checkPawsEligibility. Checkers always bring their own.
+ */
+let defaultContext = createRequestContext();
+
+/**
+ * Replace the default request context, closing the old one's connections
+ * @param {Object} config - Configuration (rateLimit and circuitBreaker sections)
+ * @returns {void}
+ */
+export const configureRequestGate = (config) => {
+  defaultContext.close();
+  defaultContext = createRequestContext(config);
+};
+
+/**
+ * Check whether a failed request counts against the circuit breaker
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for 408, 429, 5xx and requests without a response
+ */
+const isServerFailure = (error) => {
+  if (error.response) {
+    return isRetryableHttpStatus(error.response.status);
+  }
+
+  return Boolean(error.request);
+};
+
+/**
+ * Send a request once the circuit breaker and the rate limiter allow it
+ * @param {Object} context - Request context
+ * @param {Function} send - Function performing the request
+ * @returns {Promise<any>} - Response
+ */
+const sendThroughGate = async ({ rateLimiter, circuitBreaker }, send) => {
+  await rateLimiter.acquire();
+  let ticket = await circuitBreaker.acquire();
+  // Requests held back by a pause take a fresh slot once the run resumes
+  while (ticket.waited) {
+    await rateLimiter.acquire();
+    ticket = await circuitBreaker.acquire();
+  }
+
+  try {
+    const response = await send();
+    circuitBreaker.record(ticket, false);
+    return response;
+  } catch (error) {
+    circuitBreaker.record(ticket, isServerFailure(error));
+    throw error;
+  }
+};
+
+/**
+ * Get a printable label for a proxy without its credentials
+ * @param {Object|string|null} proxy - Normalized proxy, proxy URL or null
+ * @returns {string|null} - host:port label or null when no proxy is used
+ */
+export const getProxyLabel = (proxy) => {
+  if (!proxy) {
+    return null;
+  }
+  
+  if (typeof proxy === 'object') {
+    return `${proxy.host}:${proxy.port}`;
+  }
+  
+  try {
+    const url = new URL(proxy);
+    return url.port ? `${url.hostname}:${url.port}` : url.hostname;
+  } catch (error) {
+    // Not a URL, strip anything that looks like credentials
+    return proxy.split('@').pop();
+  }
+};
+
+/**
+ * Create the agent that tunnels requests through a proxy, picked by scheme
+ * @param {Object} proxy - Normalized proxy (see parseProxy)
+ * @param {Object} options - Agent options (e.g. keepAlive)
+ * @returns {HttpsProxyAgent|SocksProxyAgent} - Proxy agent
+ */
+export const createProxyAgent = (proxy, options = {}) => {
+  return isSocksProxy(proxy) ? new SocksProxyAgent(proxy.url, options) : new HttpsProxyAgent(proxy.url, options);
+};
 
 /**
  * Create axios client with optional proxy
- * @param {string|null} proxy - Proxy URL or null
+ * @param {Object|null} proxy - Normalized proxy or null
  * @param {Object} config - Configuration
+ * @param {Object} connectionStats - Stats receiving the request timings
  * @returns {axios} - Axios instance
  */
-export const createApiClient = (proxy = null, config) => {
+export const createApiClient = (proxy = null, config, connectionStats = defaultContext.connectionStats) => {
   // Base axios configuration
   const axiosConfig = {
     headers: {
@@ -17,7 +149,6 @@ export const createApiClient = (proxy = null, config) => {
       'accept-encoding': 'gzip, deflate, br, zstd',
       'accept-language': 'en-US,en;q=0.7',
       'content-type': 'application/json',
-      'local-date': moment().utc().format('ddd, DD MMM YYYY HH:mm:ss [GMT]'),
       'origin': 'https://paws.community',
       'priority': 'u=1, i',
       'referer': 'https://paws.community/',
@@ -31,127 +162,347 @@ export const createApiClient = (proxy = null, config) => {
       'secure-check': 'paws',
       'user-agent': config.userAgent
     },
-    timeout: 30000 // 30 seconds timeout
+    timeout: config.requestTimeout
   };
   
-  // Add proxy if provided
+  // Add proxy if provided, connections are kept open for the next request
   if (proxy) {
-    logger.debug(`Using proxy: ${proxy}`);
-    const proxyAgent = new HttpsProxyAgent(proxy);
+    logger.debug(`Using proxy: ${getProxyLabel(proxy)}`);
+    const proxyAgent = trackConnectTime(createProxyAgent(proxy, KEEP_ALIVE_OPTIONS));
+    axiosConfig.httpAgent = proxyAgent;
     axiosConfig.httpsAgent = proxyAgent;
     axiosConfig.proxy = false; // Important: Don't use the default proxy settings
+  } else {
+    Object.assign(axiosConfig, createDirectAgents());
   }
   
-  return axios.create(axiosConfig);
+  const client = axios.create(axiosConfig);
+  
+  // The date header belongs to the request, not to the client
+  client.interceptors.request.use((request) => {
+    request.headers['local-date'] = moment().utc().format('ddd, DD MMM YYYY HH:mm:ss [GMT]');
+    request.metadata = { startedAt: Date.now() };
+    return request;
+  });
+  
+  const recordTiming = (response) => {
+    if (response?.config?.metadata) {
+      connectionStats.record({
+        connectMs: response.request?.connectMs,
+        totalMs: Date.now() - response.config.metadata.startedAt
+      });
+    }
+  };
+  
+  client.interceptors.response.use(
+    (response) => {
+      recordTiming(response);
+      return response;
+    },
+    (error) => {
+      recordTiming(error.response);
+      return Promise.reject(error);
+    }
+  );
+  
+  return client;
+};
+
+/**
+ * Get the cached API client for a proxy, creating it on first use.
+ * Configurations with a different userAgent or requestTimeout get their
+ * own clients.
+ * @param {Object|null} proxy - Normalized proxy or null
+ * @param {Object} config - Configuration
+ * @param {Object} context - Request context holding the clients
+ * @returns {axios} - Axios instance
+ */
+export const getApiClient = (proxy = null, config, context = defaultContext) => {
+  const key = JSON.stringify([proxy ? proxy.url : 'direct', config.userAgent, config.requestTimeout]);
+  
+  if (!context.clients.has(key)) {
+    context.clients.set(key, createApiClient(proxy, config, context.connectionStats));
+  }
+  
+  return context.clients.get(key);
 };
 
 /**
- * Check OG eligibility for Paws
+ * Close the kept-alive connections of the default request context
+ * @returns {void}
+ */
+export const closeApiClients = () => defaultContext.close();
+
+/**
+ * Longest part of an API response body that is logged
+ */
+const MAX_LOGGED_BODY = 200;
+
+/**
+ * Describe a response body for the logs, cut to MAX_LOGGED_BODY characters
+ * @param {any} data - Response body
+ * @returns {string} - Printable body
+ */
+const describeBody = (data) => {
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  if (text === undefined) {
+    return '(empty)';
+  }
+  
+  return text.length > MAX_LOGGED_BODY ? `${text.slice(0, MAX_LOGGED_BODY)}... (${text.length} characters)` : text;
+};
+
+/**
+ * Create an error for a failed request that the retry policy may retry
+ * @param {string} message - Error message
+ * @param {Object} details - status, httpStatus, retryable and retryAfterMs
+ * @returns {Error} - Error carrying the details
+ */
+const createRequestError = (message, details) => Object.assign(new Error(message), details);
+
+/**
+ * Parse a response body received as text. Large numbers are kept as
+ * decimal strings, bodies that are not JSON stay text.
+ * @param {any} body - Raw response body
+ * @returns {any} - Parsed body
+ */
+const parseBody = (body) => {
+  if (typeof body !== 'string' || body === '') {
+    return body;
+  }
+  
+  try {
+    return parseJsonLossless(body);
+  } catch (error) {
+    return body;
+  }
+};
+
+/**
+ * Run an eligibility check against its API. Definitive answers and
+ * non-retryable API errors are returned as results, retryable failures
+ * (408, 429, 5xx and network errors) are thrown for the retry policy.
+ * Answers that do not match the adapter's responseSchema, or eligible
+ * answers without a valid amount, are returned as UNEXPECTED_RESPONSE.
  * @param {Object} signedData - Signature data
  * @param {string} publicKey - Wallet public key
- * @param {string|null} proxy - Proxy URL or null
+ * @param {Object|null} proxy - Normalized proxy or null
  * @param {Object} config - Configuration
+ * @param {Object} check - Check to run (see resolveChecks), default the first configured one
+ * @param {Function} onExchange - Called with { request, response, durationMs, error }
+ *   for every request, response holds the raw body (null without an answer)
+ * @param {Object} context - Request context (see createRequestContext)
  * @returns {Promise<Object>} - Eligibility check result
  */
-export const checkPawsEligibility = async (signedData, publicKey, proxy = null, config) => {
-  const client = createApiClient(proxy, config);
+export const checkPawsEligibility = async (
+  signedData,
+  publicKey,
+  proxy = null,
+  config,
+  check = resolveChecks(config)[0],
+  onExchange = () => {},
+  context = defaultContext
+) => {
+  const client = getApiClient(proxy, config, context);
+  const payload = check.adapter.buildPayload({
+    signature: signedData.signature,
+    publicKey: signedData.publicKey,
+    message: check.signatureMessage
+  });
+  const sentAt = new Date();
+  
+  const reportExchange = (response, error = null) => onExchange({
+    request: { method: 'POST', url: check.endpoint, proxy: getProxyLabel(proxy), payload, sentAt: sentAt.toISOString() },
+    response: response ? { httpStatus: response.status, headers: { ...response.headers }, body: response.data } : null,
+    durationMs: Date.now() - sentAt.getTime(),
+    error
+  });
+  
+  logger.debug(`Checking eligibility...`, publicKey);
   
+  let response;
   try {
-    const payload = {
-      signature: signedData.signature,
-      publicKey: signedData.publicKey,
-      token: config.signatureMessage,
-      authToken: ""
-    };
-    
-    logger.debug(`Checking eligibility...`, publicKey);
-    
-    const response = await client.post(config.apiEndpoint, payload);
-    
-    // Check if response is successful
-    if (response.data.success) {
-      return {
-        eligible: true,
-        amount: response.data.data,
-        error: null
-      };
-    } else {
-      return {
-        eligible: false,
-        amount: 0,
-        error: response.data.error || 'Unknown error'
-      };
-    }
+    // Keep the body as text, parseBody reads it without rounding large amounts
+    response = await sendThroughGate(context, () => client.post(check.endpoint, payload, { transformResponse: [body => body] }));
   } catch (error) {
-    // Handle different types of errors
-    if (error.response) {
-      // Check if it's a "No OG drop" response (common case, not a true error)
-      if (error.response.status === 400 && 
-          error.response.data?.error === "No OG drop") {
-        // This is not an error, just not eligible
-        return {
-          eligible: false,
-          amount: 0,
-          error: "No OG drop"
-        };
+    if (!error.response) {
+      reportExchange(null, error.message);
+      
+      if (error.request) {
+        // No response received
+        logger.debug(`No response from API: ${error.message}`, publicKey);
+        throw createRequestError(`No response from API: ${error.message}`, {
+          status: STATUS.NETWORK_ERROR,
+          retryable: true
+        });
       }
       
-      // Other API errors
-      logger.error(`API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`, publicKey);
-      return {
-        eligible: false,
-        amount: 0,
-        error: error.response.data?.error || `HTTP error ${error.response.status}`
-      };
-    } else if (error.request) {
-      // No response received
-      logger.error(`No response from API: ${error.message}`, publicKey);
-      throw new Error(`No response from API: ${error.message}`);
-    } else {
-      // Request setup error
+      // Request setup error (bad proxy URL, agent failure, ...)
       logger.error(`Request error: ${error.message}`, publicKey);
-      throw new Error(`Request error: ${error.message}`);
+      throw createRequestError(`Request error: ${error.message}`, {
+        status: STATUS.NETWORK_ERROR,
+        retryable: false
+      });
     }
+    
+    // Error statuses still carry an answer
+    ({ response } = error);
+  }
+  
+  reportExchange(response);
+  const httpStatus = response.status;
+  const data = parseBody(response.data);
+  
+  // Rate limits, timeouts and server errors are worth another attempt
+  if (isRetryableHttpStatus(httpStatus)) {
+    logger.debug(`API error: ${httpStatus} - ${describeBody(data)}`, publicKey);
+    const message = data?.error ? `HTTP ${httpStatus}: ${data.error}` : `HTTP error ${httpStatus}`;
+    throw createRequestError(message, {
+      status: STATUS.API_ERROR,
+      httpStatus,
+      retryable: true,
+      retryAfterMs: parseRetryAfter(response.headers?.['retry-after'])
+    });
   }
+  
+  const unexpected = (message) => {
+    logger.error(`${message} (${httpStatus} - ${describeBody(data)})`, publicKey);
+    return { status: STATUS.UNEXPECTED_RESPONSE, eligible: false, amount: 0, error: message };
+  };
+  
+  const isSuccess = httpStatus >= 200 && httpStatus < 300;
+  if (isSuccess && check.adapter.responseSchema) {
+    const problem = validateResponse(data, check.adapter.responseSchema);
+    if (problem) {
+      return unexpected(`Unexpected response: ${problem}`);
+    }
+  }
+  
+  // Final answer, the adapter decides what it means
+  let result;
+  try {
+    result = check.adapter.parseResponse({ httpStatus, data });
+  } catch (error) {
+    return unexpected(`Unexpected response: ${error.message}`);
+  }
+  
+  let amount = 0;
+  if (result.status === STATUS.ELIGIBLE) {
+    amount = toAmountValue(result.amount);
+    if (amount === null) {
+      return unexpected(`Unexpected amount: ${describeBody(result.amount)}`);
+    }
+  }
+  
+  if (result.status === STATUS.API_ERROR && !isSuccess) {
+    logger.error(`API error: ${httpStatus} - ${describeBody(data)}`, publicKey);
+  }
+  
+  return {
+    status: result.status,
+    eligible: result.status === STATUS.ELIGIBLE,
+    amount,
+    error: result.error ?? null
+  };
 };
 
 /**
- * Check eligibility with retry mechanism
+ * Check whether a failed request should be blamed on the proxy
+ * @param {Error} error - Error thrown by checkPawsEligibility
+ * @returns {boolean} - True for requests without an answer and rate limits
+ */
+const isProxyFailure = error => error.status === STATUS.NETWORK_ERROR || error.httpStatus === 429;
+
+/**
+ * Check eligibility with retry mechanism. With a proxy pool every retry
+ * goes through a different healthy proxy and the outcome of each attempt
+ * is reported to the pool.
  * @param {Object} signedData - Signature data
  * @param {string} publicKey - Wallet public key
- * @param {string|null} proxy - Proxy URL or null
+ * @param {Object|null} proxy - Normalized proxy for the first attempt or null
  * @param {Object} config - Configuration
  * @param {Object} retryOptions - Retry options
- * @returns {Promise<Object>} - Eligibility check result
+ * @param {Object|null} proxyPool - Proxy pool to fail over to
+ * @param {Object} hooks - Callbacks for progress reporting
+ * @param {Function} hooks.onRetry - Called with { publicKey, check, attempt, retries, delayMs, error, proxy } before a retry
+ * @param {Function} hooks.onProxyFailure - Called with { publicKey, check, proxy, error } when a proxy failed
+ * @param {Function} hooks.onResponse - Called with { publicKey, check, attempt, request, response, durationMs, error }
+ *   after every request (see checkPawsEligibility)
+ * @param {Object} check - Check to run (see resolveChecks), default the first configured one
+ * @param {Object} context - Request context (see createRequestContext)
+ * @returns {Promise<Object>} - Eligibility check result including the number
+ *   of attempts, the attempt history and the proxy that gave the answer
  */
-export const checkEligibilityWithRetry = async (signedData, publicKey, proxy = null, config, retryOptions) => {
-  let lastError;
-  let retryCount = 0;
+export const checkEligibilityWithRetry = async (
+  signedData,
+  publicKey,
+  proxy = null,
+  config,
+  retryOptions,
+  proxyPool = null,
+  hooks = {},
+  check = resolveChecks(config)[0],
+  context = defaultContext
+) => {
+  const { onRetry = () => {}, onProxyFailure = () => {}, onResponse = () => {} } = hooks;
+  let currentProxy = proxy;
+  const attemptProxies = [];
   
-  while (retryCount <= retryOptions.retries) {
+  const attemptCheck = async (attempt) => {
+    if (attempt > 1 && proxyPool && proxyPool.size > 1) {
+      currentProxy = proxyPool.pick({
+        preferred: Math.floor(Math.random() * proxyPool.size),
+        exclude: attemptProxies
+      });
+    }
+    attemptProxies.push(currentProxy);
+    
+    const startTime = Date.now();
     try {
-      return await checkPawsEligibility(signedData, publicKey, proxy, config);
+      const value = await checkPawsEligibility(signedData, publicKey, currentProxy, config, check, (exchange) => {
+        onResponse({ publicKey, check: check.name, attempt, ...exchange });
+      }, context);
+      proxyPool?.reportSuccess(currentProxy, Date.now() - startTime);
+      return value;
     } catch (error) {
-      lastError = error;
-      retryCount++;
-      
-      if (retryCount > retryOptions.retries) {
-        logger.error(`Failed after ${retryCount} attempts: ${error.message}`, publicKey);
-        throw lastError;
+      if (isProxyFailure(error)) {
+        proxyPool?.reportFailure(currentProxy, Date.now() - startTime);
+        if (currentProxy) {
+          onProxyFailure({ publicKey, check: check.name, proxy: getProxyLabel(currentProxy), error: error.message });
+        }
+      } else {
+        proxyPool?.reportSuccess(currentProxy, Date.now() - startTime);
       }
-      
-      // Calculate backoff delay
-      const backoffTime = Math.min(
-        Math.round(Math.random() * Math.pow(2, retryCount) * retryOptions.minTimeout),
-        retryOptions.maxTimeout
-      );
-      
-      logger.warn(`Retrying API request in ${backoffTime}ms (attempt ${retryCount}/${retryOptions.retries})`, publicKey);
-      
-      // Wait for backoff period
-      await new Promise(resolve => setTimeout(resolve, backoffTime));
+      throw error;
     }
-  }
+  };
+  
+  // Note which proxy served each attempt
+  const labelHistory = history => history.map((entry, index) => ({
+    ...entry,
+    proxy: getProxyLabel(attemptProxies[index])
+  }));
   
-  throw lastError;
-};
\ No newline at end of file
+  try {
+    const { value, attempts, history } = await retry(attemptCheck, {
+      ...retryOptions,
+      onRetry: ({ attempt, retries, delayMs, error }) => {
+        logger.warn(`Retrying API request in ${delayMs}ms (attempt ${attempt}/${retries}): ${error.message}`, publicKey, {
+          attempt,
+          proxy: getProxyLabel(currentProxy)
+        });
+        onRetry({ publicKey, check: check.name, attempt, retries, delayMs, error: error.message, proxy: getProxyLabel(currentProxy) });
+      }
+    });
+    
+    return { ...value, attempts, history: labelHistory(history), proxy: currentProxy };
+  } catch (error) {
+    logger.error(`Failed after ${error.attempts} attempts: ${error.message}`, publicKey, {
+      attempt: error.attempts,
+      proxy: getProxyLabel(currentProxy)
+    });
+    error.history = labelHistory(error.history ?? []);
+    error.proxy = currentProxy;
+    throw error;
+  }
+};
@@ -0,0 +1,229 @@
+import { Connection, PublicKey } from '@solana/web3.js';
+import logger from './logger.js';
+import { retry } from './retry.js';
+import { formatUnits, toAmountValue } from './amount.js';
+
+/**
+ * Commitment levels accepted by the RPC
+ */
+export const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+/**
+ * Most accounts a single getMultipleAccountsInfo call may ask for
+ */
+export const MAX_BATCH_SIZE = 100;
+
+/**
+ * Name of the SOL balance column
+ */
+export const SOL_COLUMN = 'sol';
+
+/**
+ * Decimals of SOL (1 SOL = 10^9 lamports)
+ */
+const SOL_DECIMALS = 9;
+
+/**
+ * Programs owning token mints and accounts (SPL Token and Token-2022)
+ */
+const TOKEN_PROGRAM_IDS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+];
+
+/**
+ * Program deriving the associated token account of a wallet
+ */
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+
+/**
+ * Byte offsets in the mint and token account layouts (the same in both programs)
+ */
+const MINT_DECIMALS_OFFSET = 44;
+const TOKEN_AMOUNT_OFFSET = 64;
+
+/**
+ * Parse an address from the configuration or the wallets
+ * @param {string} value - Base58 address
+ * @param {string} label - What the address is, for error messages
+ * @returns {PublicKey} - Public key
+ */
+const toPublicKey = (value, label) => {
+  try {
+    return new PublicKey(value);
+  } catch (error) {
+    throw new Error(`Invalid ${label} "${value}"`);
+  }
+};
+
+/**
+ * Address of the associated token account of a wallet
+ * @param {PublicKey} owner - Wallet address
+ * @param {PublicKey} mint - Token mint
+ * @param {PublicKey} programId - Token program owning the mint
+ * @returns {PublicKey} - Token account address
+ */
+export const findTokenAccount = (owner, mint, programId) => {
+  const [address] = PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), programId.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+  return address;
+};
+
+/**
+ * Names of the balance columns: sol, then one per configured token
+ * (its name, or the mint address when it has none)
+ * @param {Object} config - Configuration
+ * @returns {string[]} - Column names
+ */
+export const balanceColumns = (config) => {
+  return [SOL_COLUMN, ...config.balances.tokens.map(token => token.name ?? token.mint)];
+};
+
+/**
+ * Printable label for an RPC URL. Paid RPC URLs carry their API key in the
+ * path or query, so only the origin is shown.
+ * @param {string} rpcUrl - RPC URL
+ * @returns {string} - Origin of the URL (https://host:port)
+ */
+export const getRpcLabel = rpcUrl => new URL(rpcUrl).origin;
+
+/**
+ * Connect to the configured RPC. Requests time out after requestTimeout,
+ * rate limits are retried by fetchBalances rather than by web3.js.
+ * @param {Object} config - Configuration
+ * @returns {Connection} - RPC connection
+ */
+const createRpcConnection = (config) => {
+  return new Connection(config.balances.rpcUrl, {
+    commitment: config.balances.commitment,
+    disableRetryOnRateLimit: true,
+    fetch: (url, init) => fetch(url, { ...init, signal: AbortSignal.timeout(config.requestTimeout) })
+  });
+};
+
+/**
+ * Fetch accounts with getMultipleAccountsInfo, retrying failed calls
+ * @param {Connection} connection - RPC connection
+ * @param {PublicKey[]} addresses - At most MAX_BATCH_SIZE addresses
+ * @param {Object} config - Configuration
+ * @returns {Promise<Array<Object|null>>} - Account infos, null for accounts that do not exist
+ */
+const fetchAccounts = async (connection, addresses, config) => {
+  const { value } = await retry(() => connection.getMultipleAccountsInfo(addresses), {
+    ...config.retryOptions,
+    // RPC errors carry no classification, retry anything
+    shouldRetry: () => true,
+    onRetry: ({ attempt, retries, delayMs, error }) => {
+      logger.warn(`RPC request failed (${error.message}), retrying in ${delayMs}ms (attempt ${attempt}/${retries})`);
+    }
+  });
+
+  return value;
+};
+
+/**
+ * Validate the configured tokens without contacting the RPC
+ * @param {Object} config - Configuration
+ * @returns {Object[]} - Tokens with column and mint (PublicKey)
+ */
+export const resolveTokenSettings = (config) => {
+  const columns = balanceColumns(config);
+  const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+  if (duplicate) {
+    throw new Error(`Balance column "${duplicate}" is used more than once, give the tokens distinct names`);
+  }
+
+  return config.balances.tokens.map((token, index) => {
+    if (!token.mint) {
+      throw new Error(`balances.tokens[${index}] has no mint`);
+    }
+    return { column: columns[index + 1], mint: toPublicKey(token.mint, 'token mint') };
+  });
+};
+
+/**
+ * Look up the token program and decimals of every configured token
+ * @param {Connection} connection - RPC connection
+ * @param {Object} config - Configuration
+ * @returns {Promise<Object[]>} - Tokens with column, mint, programId and decimals
+ */
+const resolveTokens = async (connection, config) => {
+  const tokens = resolveTokenSettings(config);
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const accounts = await fetchAccounts(connection, tokens.map(token => token.mint), config);
+
+  return tokens.map((token, index) => {
+    const account = accounts[index];
+    if (!account) {
+      throw new Error(`Token mint ${token.mint.toBase58()} does not exist on ${getRpcLabel(config.balances.rpcUrl)}`);
+    }
+
+    if (!TOKEN_PROGRAM_IDS.includes(account.owner.toBase58())) {
+      throw new Error(`${token.mint.toBase58()} is not a token mint`);
+    }
+
+    return { ...token, programId: account.owner, decimals: account.data[MINT_DECIMALS_OFFSET] };
+  });
+};
+
+/**
+ * Fetch the SOL balance and the balances of the configured tokens of
+ * every wallet. Each wallet needs its own account and one associated
+ * token account per token, wallets are batched so that a
+ * getMultipleAccountsInfo call asks for at most balances.batchSize
+ * accounts. Tokens held outside the associated token account are not counted.
+ * @param {string[]} publicKeys - Wallet addresses
+ * @param {Object} config - Configuration
+ * @returns {Promise<Map<string, Object|null>>} - Balances by address, keyed by
+ *   column name ({ sol: 1.5, PAWS: 100 }); null when the RPC kept failing
+ *   for the wallet's batch
+ */
+export const fetchBalances = async (publicKeys, config) => {
+  const connection = createRpcConnection(config);
+  const tokens = await resolveTokens(connection, config);
+  const accountsPerWallet = 1 + tokens.length;
+  const walletsPerBatch = Math.max(1, Math.floor(config.balances.batchSize / accountsPerWallet));
+  const balances = new Map();
+
+  logger.info(`Fetching balances of ${publicKeys.length} wallets from ${getRpcLabel(config.balances.rpcUrl)}`);
+
+  for (let start = 0; start < publicKeys.length; start += walletsPerBatch) {
+    const batch = publicKeys.slice(start, start + walletsPerBatch);
+    const owners = batch.map(publicKey => toPublicKey(publicKey, 'wallet address'));
+    const addresses = owners.flatMap(owner => [
+      owner,
+      ...tokens.map(token => findTokenAccount(owner, token.mint, token.programId))
+    ]);
+
+    let accounts;
+    try {
+      accounts = await fetchAccounts(connection, addresses, config);
+    } catch (error) {
+      logger.warn(`Failed to fetch balances of ${batch.length} wallets: ${error.message}`);
+      batch.forEach(publicKey => balances.set(publicKey, null));
+      continue;
+    }
+
+    batch.forEach((publicKey, index) => {
+      const [wallet, ...tokenAccounts] = accounts.slice(index * accountsPerWallet, (index + 1) * accountsPerWallet);
+      const entry = { [SOL_COLUMN]: toAmountValue(formatUnits(wallet?.lamports ?? 0, SOL_DECIMALS)) };
+
+      // A missing token account holds nothing
+      tokens.forEach((token, tokenIndex) => {
+        const amount = tokenAccounts[tokenIndex]?.data.readBigUInt64LE(TOKEN_AMOUNT_OFFSET) ?? 0n;
+        entry[token.column] = toAmountValue(formatUnits(amount, token.decimals));
+      });
+
+      balances.set(publicKey, entry);
+    });
+
+    logger.debug(`Fetched balances of ${start + batch.length}/${publicKeys.length} wallets`);
+  }
+
+  return balances;
+};
@@ -0,0 +1,388 @@
+import { EventEmitter } from 'events';
+import pLimit from 'p-limit';
+import logger, { redact } from './logger.js';
+import { createKeypairFromPrivateKey, signMessage, withRetry } from './solana.js';
+import { checkEligibilityWithRetry, getProxyLabel, createRequestContext } from './api.js';
+import { resolveConfig } from './config.js';
+import { parseProxy } from './proxy.js';
+import { createProxyPool, checkProxyConnectivity } from './proxyPool.js';
+import { buildSummary } from './resultWriter.js';
+import { STATUS } from './status.js';
+import { resolveChecks, loadAdapters, registerAdapter, combineCheckResults } from './checks.js';
+
+export { STATUS } from './status.js';
+export { registerAdapter } from './checks.js';
+export { fetchBalances } from './balances.js';
+export { configureLogger } from './logger.js';
+
+/**
+ * Events emitted by a checker
+ */
+export const CHECKER_EVENTS = ['start', 'walletDone', 'retry', 'proxyFailed', 'response', 'done'];
+
+/**
+ * Random sleep function
+ * @param {number} min - Minimum sleep time in ms
+ * @param {number} max - Maximum sleep time in ms
+ * @returns {Promise<void>}
+ */
+const randomSleep = async (min, max) => {
+  const sleepTime = Math.floor(Math.random() * (max - min + 1) + min);
+  logger.debug(`Sleeping for ${sleepTime}ms`);
+  await new Promise(resolve => setTimeout(resolve, sleepTime));
+};
+
+/**
+ * Check eligibility for a wallet. Every check runs in turn, continuing
+ * with the proxy the previous check ended on; the wallet result combines
+ * them (see combineCheckResults) and lists each under `checks`.
+ * @param {string} privateKey - Private key
+ * @param {Object|null} proxy - Normalized proxy or null
+ * @param {Object} config - Configuration
+ * @param {Object|null} proxyPool - Proxy pool to fail over to
+ * @param {Object} hooks - onRetry and onProxyFailure callbacks (see checkEligibilityWithRetry)
+ * @param {Object[]} checks - Checks to run (see resolveChecks)
+ * @param {Object} requestContext - Rate limiter, circuit breaker and clients
+ *   to use (see createRequestContext), default the shared default context
+ * @returns {Promise<Object>} - Check result
+ */
+export const checkWalletEligibility = async (
+  privateKey,
+  proxy,
+  config,
+  proxyPool = null,
+  hooks = {},
+  checks = resolveChecks(config),
+  requestContext
+) => {
+  const startTime = Date.now();
+  let usedProxy = proxy;
+  let attempts = 0;
+  const attemptHistory = [];
+  let checkResults = null;
+  
+  // Attach run metadata to every result. Error messages end up in the
+  // result files, so they are scrubbed like log lines
+  const finish = (result) => {
+    // Failures before the first request (bad key) apply to every check
+    const perCheck = checkResults ?? Object.fromEntries(checks.map(check => [check.name, {
+      status: result.status,
+      eligible: false,
+      amount: 0,
+      error: result.error,
+      attempts: 0,
+      proxy: null
+    }]));
+    
+    return {
+      ...result,
+      amount: result.amount ?? 0,
+      error: redact(result.error) ?? null,
+      attempts,
+      attemptHistory: attemptHistory.map(entry => (entry.error ? { ...entry, error: redact(entry.error) } : entry)),
+      checks: Object.fromEntries(Object.entries(perCheck).map(([name, entry]) => [name, { ...entry, error: redact(entry.error) ?? null }])),
+      durationMs: Date.now() - startTime,
+      proxy: getProxyLabel(usedProxy),
+      checkedAt: new Date().toISOString()
+    };
+  };
+  
+  /**
+   * Run a single check and add its attempts to the wallet's
+   * @param {Object} check - Check to run
+   * @param {Object} signedData - Signature of the check's message
+   * @param {string} publicKey - Wallet public key
+   * @returns {Promise<Object>} - Result of the check
+   */
+  const runCheck = async (check, signedData, publicKey) => {
+    // Name the check in logs and history when a wallet runs several
+    const label = checks.length > 1 ? `${check.name}: ` : '';
+    let outcome;
+    let failed = false;
+    
+    try {
+      outcome = await checkEligibilityWithRetry(
+        signedData,
+        publicKey,
+        usedProxy,
+        config,
+        config.retryOptions,
+        proxyPool,
+        hooks,
+        check,
+        requestContext
+      );
+    } catch (error) {
+      failed = true;
+      outcome = {
+        status: error.status || STATUS.NETWORK_ERROR,
+        eligible: false,
+        amount: 0,
+        error: error.message,
+        attempts: error.attempts ?? 0,
+        history: error.history ?? [],
+        proxy: error.proxy ?? usedProxy
+      };
+    }
+    
+    attempts += outcome.attempts;
+    attemptHistory.push(...(checks.length > 1 ? outcome.history.map(entry => ({ check: check.name, ...entry })) : outcome.history));
+    usedProxy = outcome.proxy;
+    
+    // Log result, failed requests were already logged by the retry loop
+    const logMeta = { attempt: outcome.attempts, proxy: getProxyLabel(usedProxy) };
+    if (!failed && outcome.status === STATUS.ELIGIBLE) {
+      logger.success(`${label}Eligible for ${outcome.amount} tokens`, publicKey, logMeta);
+    } else if (!failed && outcome.status === STATUS.NOT_ELIGIBLE) {
+      logger.info(`${label}Not eligible: ${outcome.error}`, publicKey, logMeta);
+    } else if (!failed) {
+      logger.warn(`${label}Not checked (${outcome.status}): ${outcome.error || 'Unknown reason'}`, publicKey, logMeta);
+    }
+    
+    return {
+      status: outcome.status,
+      eligible: outcome.eligible,
+      amount: outcome.amount ?? 0,
+      error: outcome.error ?? null,
+      attempts: outcome.attempts,
+      proxy: getProxyLabel(outcome.proxy)
+    };
+  };
+  
+  try {
+    // Create keypair from private key
+    const keypair = await withRetry(
+      () => createKeypairFromPrivateKey(privateKey),
+      config.retryOptions
+    );
+    
+    if (!keypair) {
+      return finish({
+        publicKey: 'unknown',
+        status: STATUS.INVALID_KEY,
+        eligible: false,
+        error: 'Failed to create keypair'
+      });
+    }
+    
+    const publicKey = keypair.publicKey.toBase58();
+    
+    // Sign each distinct message once, checks sharing a message share the signature
+    const signatures = new Map();
+    for (const { signatureMessage } of checks) {
+      if (!signatures.has(signatureMessage)) {
+        signatures.set(signatureMessage, await withRetry(
+          () => signMessage(keypair, signatureMessage),
+          config.retryOptions
+        ));
+      }
+    }
+    
+    const results = {};
+    for (const check of checks) {
+      const signedData = signatures.get(check.signatureMessage);
+      results[check.name] = signedData
+        ? await runCheck(check, signedData, publicKey)
+        : { status: STATUS.SIGN_ERROR, eligible: false, amount: 0, error: 'Failed to sign message', attempts: 0, proxy: null };
+    }
+    checkResults = results;
+    
+    return finish({
+      publicKey,
+      ...combineCheckResults(results)
+    });
+  } catch (error) {
+    logger.error(`Failed to check eligibility: ${error.message}`);
+    attempts = error.attempts ?? attempts;
+    return finish({
+      // Never fall back to parts of the private key
+      publicKey: 'unknown',
+      status: STATUS.INVALID_KEY,
+      eligible: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a checker that can be embedded in other Node programs. The
+ * checker never reads files: keys and proxies are passed in, results
+ * are returned and reported through events.
+ *
+ * Events:
+ * - start: { total }
+ * - walletDone: { index, result, privateKey }
+ * - retry: { publicKey, check, attempt, retries, delayMs, error, proxy }
+ * - proxyFailed: { publicKey, check, proxy, error }
+ * - response: { publicKey, check, attempt, request, response, durationMs, error }
+ * - done: { results, summary }
+ *
+ * Every checker has its own rate limiter, circuit breaker, connection
+ * stats and kept-alive connections.
+ * @param {Object} config - Configuration, missing settings use the defaults
+ * @param {Object} options - Checker options
+ * @param {Array<string|Object>} options.proxies - Proxy lines or normalized
+ *   proxies, only used when config.enableProxy is set
+ * @param {Object[]} options.adapters - Check adapters to register for the
+ *   `checks` setting (the registry is shared by the process)
+ * @returns {Object} - Checker with on/once/off, prepare, loadChecks, checkWallet, checkAll and close
+ */
+export const createChecker = (config = {}, { proxies = [], adapters = [] } = {}) => {
+  const settings = resolveConfig(config).config;
+  adapters.forEach(adapter => registerAdapter(adapter));
+  const events = new EventEmitter();
+  const proxyList = settings.enableProxy
+    ? proxies.map(proxy => (typeof proxy === 'string' ? parseProxy(proxy) : proxy))
+    : [];
+  const proxyPool = proxyList.length > 0 ? createProxyPool(proxyList, settings.proxyPool) : null;
+  let prepared = null;
+  let checksLoaded = null;
+  const requestContext = createRequestContext(settings);
+
+  // Forward retries, proxy failures and raw exchanges of a wallet as checker events
+  const hooksFor = () => ({
+    onRetry: details => events.emit('retry', details),
+    onProxyFailure: details => events.emit('proxyFailed', details),
+    onResponse: details => events.emit('response', details)
+  });
+
+  /**
+   * Load the adapter modules of the configured checks and resolve them
+   * @returns {Promise<Object[]>} - Enabled checks (see resolveChecks)
+   */
+  const loadChecks = () => {
+    if (!checksLoaded) {
+      checksLoaded = loadAdapters(settings).then(() => resolveChecks(settings));
+    }
+
+    return checksLoaded;
+  };
+
+  /**
+   * Load the checks and run the proxy connectivity check if
+   * proxyPool.checkUrl is set. Called by checkAll, call it earlier to
+   * fail before any other work.
+   * @returns {Promise<void>}
+   */
+  const prepare = () => {
+    if (!prepared) {
+      prepared = (async () => {
+        await loadChecks();
+
+        if (!proxyPool || !settings.proxyPool.checkUrl) {
+          return;
+        }
+
+        await checkProxyConnectivity(proxyPool, {
+          url: settings.proxyPool.checkUrl,
+          timeout: settings.proxyPool.checkTimeout
+        });
+
+        if (proxyPool.size === 0) {
+          throw new Error(`No proxy could reach ${settings.proxyPool.checkUrl}`);
+        }
+      })();
+    }
+
+    return prepared;
+  };
+
+  /**
+   * Check a single wallet
+   * @param {string} privateKey - Private key (base58, JSON byte array or hex)
+   * @param {Object} options - Check options
+   * @param {number} options.index - Position of the wallet, used to spread wallets over the proxies
+   * @returns {Promise<Object>} - Check result
+   */
+  const checkWallet = async (privateKey, { index = 0 } = {}) => {
+    const checks = await loadChecks();
+    const proxy = proxyPool ? proxyPool.pick({ preferred: index }) : null;
+    return checkWalletEligibility(privateKey, proxy, settings, proxyPool, hooksFor(), checks, requestContext);
+  };
+
+  /**
+   * Check many wallets with the configured concurrency and delays
+   * @param {string[]} privateKeys - Private keys
+   * @param {Object} options - Run options
+   * @param {Function} options.reuse - Returns a stored result for a public
+   *   key to skip its check, or undefined to check it
+   * @param {Map<string, Object|null>} options.balances - On-chain balances by
+   *   public key (see fetchBalances), added to every result as `balances`
+   * @returns {Promise<Object>} - { results, summary }, results in input order
+   */
+  const checkAll = async (privateKeys, { reuse = null, balances = null } = {}) => {
+    const startedAt = new Date();
+    await prepare();
+
+    const limit = pLimit(settings.concurrency);
+    const results = new Array(privateKeys.length);
+    let reused = 0;
+    const withBalances = result => (balances ? { ...result, balances: balances.get(result.publicKey) ?? null } : result);
+
+    logger.info(`Starting to process ${privateKeys.length} wallets`);
+    events.emit('start', { total: privateKeys.length });
+
+    await Promise.all(privateKeys.map((privateKey, index) => limit(async () => {
+      // Reuse stored results, e.g. wallets already checked before a resume
+      if (reuse) {
+        const keypair = createKeypairFromPrivateKey(privateKey);
+        const stored = keypair ? reuse(keypair.publicKey.toBase58()) : undefined;
+
+        if (stored) {
+          logger.debug(`Skipping wallet checked at ${stored.checkedAt}`, stored.publicKey);
+          reused++;
+          results[index] = withBalances(stored);
+          events.emit('walletDone', { index, result: results[index], privateKey });
+          return;
+        }
+      }
+
+      const result = withBalances(await checkWallet(privateKey, { index }));
+      results[index] = result;
+      events.emit('walletDone', { index, result, privateKey });
+
+      // Random delay between accounts
+      if (index < privateKeys.length - 1) {
+        await randomSleep(settings.delayBetweenAccounts.min, settings.delayBetweenAccounts.max);
+      }
+    })));
+
+    const summary = buildSummary(results, {
+      startedAt,
+      reused,
+      circuitPauses: requestContext.circuitBreaker.pauses,
+      connections: requestContext.connectionStats.summary(),
+      ...(proxyPool ? { proxies: proxyPool.getStats() } : {})
+    });
+
+    events.emit('done', { results, summary });
+    return { results, summary };
+  };
+
+  const checker = {
+    on: (event, listener) => {
+      events.on(event, listener);
+      return checker;
+    },
+    once: (event, listener) => {
+      events.once(event, listener);
+      return checker;
+    },
+    off: (event, listener) => {
+      events.off(event, listener);
+      return checker;
+    },
+    prepare,
+    loadChecks,
+    checkWallet,
+    checkAll,
+    /**
+     * Close the connections this checker kept open for later requests
+     * @returns {void}
+     */
+    close: requestContext.close,
+    config: settings
+  };
+
+  return checker;
+};
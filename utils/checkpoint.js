@@ -0,0 +1,145 @@
+import fs from 'fs-extra';
+import path from 'path';
+import logger from './logger.js';
+import { resolveStatus, isCheckedStatus } from './status.js';
+
+/**
+ * Default location of the checkpoint file
+ */
+export const DEFAULT_CHECKPOINT_FILE = 'result/checkpoint.jsonl';
+
+/**
+ * Determine whether a stored result counts as a completed check
+ * (eligible, or a definitive "not eligible" answer from the API)
+ * @param {Object} entry - Checkpoint entry
+ * @returns {boolean} - True if the wallet does not need to be checked again
+ */
+export const isCompletedCheck = (entry) => {
+  if (!entry) {
+    return false;
+  }
+
+  return isCheckedStatus(resolveStatus(entry));
+};
+
+/**
+ * Create a checkpoint store backed by an append-only JSON lines file.
+ * Every recorded result is flushed to disk immediately, the last entry
+ * for a public key wins when the file is loaded again.
+ * @param {string} filePath - Path to checkpoint file
+ * @returns {Object} - Checkpoint store
+ */
+export const createCheckpointStore = (filePath = DEFAULT_CHECKPOINT_FILE) => {
+  const entries = new Map();
+
+  // Serialize writes so concurrent workers never interleave lines
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Load existing entries from disk
+   * @returns {Promise<number>} - Number of wallets in the checkpoint
+   */
+  const load = async () => {
+    entries.clear();
+
+    if (!await fs.pathExists(filePath)) {
+      return 0;
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim() !== '');
+
+    lines.forEach((line, index) => {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.publicKey) {
+          entries.set(entry.publicKey, entry);
+        }
+      } catch (error) {
+        // A crash can leave a partially written last line behind
+        logger.warn(`Skipping corrupt checkpoint line ${index + 1} in ${filePath}`);
+      }
+    });
+
+    return entries.size;
+  };
+
+  /**
+   * Remove all entries and truncate the checkpoint file
+   * @returns {Promise<void>}
+   */
+  const reset = async () => {
+    entries.clear();
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, '');
+  };
+
+  /**
+   * Record the outcome of a wallet check
+   * @param {Object} result - Check result
+   * @returns {Promise<void>}
+   */
+  const record = (result) => {
+    const entry = {
+      publicKey: result.publicKey,
+      status: result.status ?? resolveStatus(result),
+      eligible: result.eligible,
+      amount: result.amount ?? 0,
+      error: result.error ?? null,
+      attempts: result.attempts ?? 0,
+      durationMs: result.durationMs ?? null,
+      proxy: result.proxy ?? null,
+      checkedAt: result.checkedAt ?? new Date().toISOString()
+    };
+
+    if (result.checks) {
+      entry.checks = result.checks;
+    }
+
+    entries.set(entry.publicKey, entry);
+
+    writeQueue = writeQueue
+      .then(async () => {
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+      })
+      .catch((error) => {
+        logger.error(`Failed to write checkpoint: ${error.message}`, entry.publicKey);
+      });
+
+    return writeQueue;
+  };
+
+  /**
+   * Get the stored entry for a wallet
+   * @param {string} publicKey - Wallet public key
+   * @returns {Object|undefined} - Checkpoint entry
+   */
+  const get = (publicKey) => entries.get(publicKey);
+
+  /**
+   * Check whether a wallet was already checked successfully
+   * @param {string} publicKey - Wallet public key
+   * @returns {boolean} - True if the wallet can be skipped
+   */
+  const isDone = (publicKey) => isCompletedCheck(entries.get(publicKey));
+
+  /**
+   * Wait for pending writes to finish
+   * @returns {Promise<void>}
+   */
+  const flush = () => writeQueue;
+
+  return {
+    filePath,
+    load,
+    reset,
+    record,
+    get,
+    isDone,
+    flush,
+    get size() {
+      return entries.size;
+    }
+  };
+};
@@ -0,0 +1,148 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { STATUS, isErrorStatus } from './status.js';
+import { sumAmounts, toAmountValue } from './amount.js';
+import { ogAdapter } from './adapters/og.js';
+
+/**
+ * Check adapters by name. An adapter turns a signed message into a request
+ * body and a final API response into a result:
+ *
+ * {
+ *   name: 'og',
+ *   endpoint: 'https://...',             // optional, default endpoint
+ *   signatureMessage: '...',             // optional, default message
+ *   buildPayload({ signature, publicKey, message }) => body,
+ *   parseResponse({ httpStatus, data }) => { status, amount, error }
+ * }
+ *
+ * Retryable responses (408, 429, 5xx) and network errors never reach
+ * parseResponse, they are retried by the transport.
+ */
+const adapters = new Map([[ogAdapter.name, ogAdapter]]);
+
+/**
+ * Make an adapter available to the `checks` setting
+ * @param {Object} adapter - Check adapter
+ * @param {string} name - Name to register it under (default: adapter.name)
+ * @returns {Object} - The adapter
+ */
+export const registerAdapter = (adapter, name = adapter?.name) => {
+  if (typeof name !== 'string' || name === ''
+      || typeof adapter?.buildPayload !== 'function' || typeof adapter?.parseResponse !== 'function') {
+    throw new Error(`Check adapter "${name}" needs a name, buildPayload() and parseResponse()`);
+  }
+
+  adapters.set(name, adapter);
+  return adapter;
+};
+
+/**
+ * Names of the registered adapters
+ * @returns {string[]} - Adapter names
+ */
+export const listAdapters = () => [...adapters.keys()];
+
+/**
+ * Check whether an adapter setting names a module rather than a registered adapter
+ * @param {string} spec - Value of checks[].adapter
+ * @returns {boolean} - True for file paths
+ */
+const isModulePath = spec => /[\\/]/.test(spec) || /\.[cm]?js$/.test(spec);
+
+/**
+ * Import the adapter modules named by the `checks` setting. Modules export
+ * the adapter as default or as `adapter`, paths are relative to the
+ * working directory.
+ * @param {Object} config - Configuration
+ * @returns {Promise<void>}
+ */
+export const loadAdapters = async (config) => {
+  const specs = config.checks
+    .map(check => check.adapter)
+    .filter(spec => isModulePath(spec) && !adapters.has(spec));
+
+  for (const spec of new Set(specs)) {
+    let module;
+    try {
+      module = await import(pathToFileURL(path.resolve(spec)).href);
+    } catch (error) {
+      throw new Error(`Failed to load check adapter ${spec}: ${error.message}`);
+    }
+
+    registerAdapter(module.default ?? module.adapter, spec);
+  }
+};
+
+/**
+ * Resolve the enabled checks of the configuration. Settings left empty
+ * fall back to the adapter's defaults, then to apiEndpoint and
+ * signatureMessage.
+ * @param {Object} config - Configuration
+ * @returns {Object[]} - Checks with name, adapter, endpoint and signatureMessage
+ */
+export const resolveChecks = (config) => {
+  const checks = config.checks
+    .filter(check => check.enabled)
+    .map((check) => {
+      const adapter = adapters.get(check.adapter);
+      if (!adapter) {
+        throw new Error(isModulePath(check.adapter)
+          ? `Check adapter ${check.adapter} is not loaded`
+          : `Unknown check adapter "${check.adapter}", available: ${listAdapters().join(', ')}`);
+      }
+
+      return {
+        name: check.name || adapter.name || check.adapter,
+        adapter,
+        endpoint: check.endpoint || adapter.endpoint || config.apiEndpoint,
+        signatureMessage: check.signatureMessage ?? adapter.signatureMessage ?? config.signatureMessage
+      };
+    });
+
+  if (checks.length === 0) {
+    throw new Error('No checks enabled, enable at least one entry of "checks"');
+  }
+
+  const names = checks.map(check => check.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Check name "${duplicate}" is used more than once, give each check a unique name`);
+  }
+
+  return checks;
+};
+
+/**
+ * Combine the per-check results of a wallet. The wallet counts as errored
+ * when any check errored, else as eligible when any check is eligible.
+ * @param {Object} checks - Per-check results by check name
+ * @returns {Object} - status, eligible, amount and error of the wallet
+ */
+export const combineCheckResults = (checks) => {
+  const entries = Object.entries(checks);
+
+  // A single check is reported as is
+  if (entries.length === 1) {
+    const [[, { status, eligible, amount, error }]] = entries;
+    return { status, eligible, amount, error };
+  }
+
+  const failed = entries.find(([, result]) => isErrorStatus(result.status));
+  const eligible = entries.some(([, result]) => result.eligible);
+  const errors = entries
+    .filter(([, result]) => result.error)
+    .map(([name, result]) => `${name}: ${result.error}`);
+
+  let status = eligible ? STATUS.ELIGIBLE : STATUS.NOT_ELIGIBLE;
+  if (failed) {
+    status = failed[1].status;
+  }
+
+  return {
+    status,
+    eligible,
+    amount: toAmountValue(sumAmounts(entries.filter(([, result]) => result.eligible).map(([, result]) => result.amount))),
+    error: errors.length > 0 ? errors.join('; ') : null
+  };
+};
@@ -0,0 +1,132 @@
+import logger from './logger.js';
+
+/**
+ * Circuit breaker states
+ */
+export const CIRCUIT_STATES = {
+  // Requests flow normally
+  CLOSED: 'closed',
+  // Requests are paused until the cooldown has passed
+  OPEN: 'open',
+  // A single probe request decides whether to close or open again
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Create a circuit breaker shared by every request of a run. After
+ * failureThreshold consecutive server failures all requests are paused
+ * for the cooldown, then one probe request is let through: if it
+ * succeeds the run resumes, otherwise the pause starts over.
+ * @param {Object} options - Breaker options
+ * @param {boolean} options.enabled - Disable to let every request through
+ * @param {number} options.failureThreshold - Consecutive server failures that open the circuit
+ * @param {number} options.cooldown - Pause in ms before the probe request
+ * @returns {Object} - Circuit breaker
+ */
+export const createCircuitBreaker = ({ enabled = true, failureThreshold = 5, cooldown = 30000 } = {}) => {
+  let state = CIRCUIT_STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = 0;
+  let pauses = 0;
+  // Counts the pauses, results of requests sent before the latest pause are ignored
+  let generation = 0;
+  // Settles when the probe request of the half-open state has finished
+  let probeDone = null;
+  let settleProbe = () => {};
+
+  /**
+   * Pause all requests for the cooldown
+   * @returns {void}
+   */
+  const open = () => {
+    state = CIRCUIT_STATES.OPEN;
+    openedAt = Date.now();
+    pauses++;
+    generation++;
+    logger.warn(`API is failing (${consecutiveFailures} consecutive server failures), pausing all requests for ${cooldown / 1000}s`);
+  };
+
+  /**
+   * Wait until a request may be sent
+   * @returns {Promise<Object>} - Ticket to pass to record(): waited is true
+   *   if the request was held back by a pause, false if it may be sent
+   *   right away (or is the probe request); probe marks the probe request
+   */
+  const acquire = async () => {
+    if (!enabled) {
+      return { waited: false, probe: false, generation };
+    }
+
+    let waited = false;
+    for (;;) {
+      if (state === CIRCUIT_STATES.CLOSED) {
+        return { waited, probe: false, generation };
+      }
+
+      waited = true;
+      if (state === CIRCUIT_STATES.OPEN) {
+        const remaining = openedAt + cooldown - Date.now();
+        if (remaining > 0) {
+          await new Promise(resolve => setTimeout(resolve, remaining));
+          continue;
+        }
+
+        // The first request after the cooldown becomes the probe
+        state = CIRCUIT_STATES.HALF_OPEN;
+        probeDone = new Promise((resolve) => {
+          settleProbe = resolve;
+        });
+        logger.info('Sending a probe request before resuming');
+        return { waited: false, probe: true, generation };
+      }
+
+      await probeDone;
+    }
+  };
+
+  /**
+   * Record the outcome of a request sent after acquire()
+   * @param {Object} ticket - Ticket returned by acquire() for the request
+   * @param {boolean} serverFailure - True for 408, 429, 5xx and network failures
+   * @returns {void}
+   */
+  const record = (ticket, serverFailure) => {
+    // Requests sent before the latest pause say nothing about the API now
+    if (!enabled || ticket.generation !== generation) {
+      return;
+    }
+
+    if (serverFailure) {
+      consecutiveFailures++;
+    } else {
+      consecutiveFailures = 0;
+    }
+
+    if (state === CIRCUIT_STATES.HALF_OPEN) {
+      if (!ticket.probe) {
+        return;
+      }
+
+      if (serverFailure) {
+        open();
+      } else {
+        state = CIRCUIT_STATES.CLOSED;
+        logger.success(`Probe request succeeded, resuming after ${((Date.now() - openedAt) / 1000).toFixed(1)}s pause`);
+      }
+      settleProbe();
+    } else if (state === CIRCUIT_STATES.CLOSED && consecutiveFailures >= failureThreshold) {
+      open();
+    }
+  };
+
+  return {
+    acquire,
+    record,
+    get state() {
+      return state;
+    },
+    get pauses() {
+      return pauses;
+    }
+  };
+};
@@ -0,0 +1,157 @@
+import { readFlagOverrides } from './config.js';
+
+/**
+ * Process exit codes
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  // Usage, configuration, preflight or unexpected errors
+  FAILURE: 1,
+  // The run completed but some wallets could not be checked
+  WALLET_ERRORS: 2
+};
+
+/**
+ * Available commands and the flags only they accept
+ */
+export const COMMANDS = {
+  check: { flags: ['--resume', '--keystore', '--only-failed', '--dry-run', '--signatures'] },
+  // Commands printing data on stdout send their logs to stderr
+  derive: { flags: ['--keystore'], dataOutput: true },
+  validate: { flags: ['--keystore'] },
+  report: { flags: ['--json'], dataOutput: true },
+  history: { flags: ['--json'], dataOutput: true },
+  diff: { flags: ['--json'], dataOutput: true },
+  keystore: { flags: ['--remove-source'], dataOutput: true },
+  'decrypt-keys': { flags: [], dataOutput: true },
+  help: { flags: [] }
+};
+
+/**
+ * Flags valid for every command
+ */
+const GLOBAL_FLAGS = ['--config', '--help'];
+
+/**
+ * Flags that take a value
+ */
+const VALUE_FLAGS = ['--only-failed', '--config'];
+
+/**
+ * Short aliases for frequently used settings
+ */
+const SETTING_ALIASES = {
+  '--keys': '--keys-path',
+  '--proxies': '--proxies-path',
+  '--output': '--output.dir',
+  '--format': '--output.formats',
+  '--proxy': '--enable-proxy',
+  '--no-proxy': '--no-enable-proxy',
+  '--log-level': '--logging.level',
+  '--log-format': '--logging.format',
+  '--no-log-file': '--no-logging.file',
+  '--no-progress': '--no-progress.enabled'
+};
+
+export const USAGE = `Usage: node index.js [command] [options]
+
+Commands:
+  check                    Check eligibility of all wallets (default)
+  derive                   Print the address of every wallet, no network access
+  validate                 Validate keys, proxies and configuration only
+  report [run|file]        Summarize a previous run (default: latest run)
+  history                  List the recorded runs
+  diff [from] [to]         Compare two recorded runs (default: the last two)
+  keystore <action>        Manage the encrypted keystore (import, add, remove, list)
+  decrypt-keys <file>      Print an encrypted private key file
+
+Options:
+  --config <file>          Configuration file (default: config.json)
+  --keys <path>            Private key file or keypair directory
+  --proxies <file>         Proxy file
+  --output <dir>           Base folder for results
+  --format <list>          Output formats: txt, jsonl, json, csv (comma separated)
+  --concurrency <n>        Wallets processed at once
+  --proxy / --no-proxy     Enable or disable proxies
+  --keystore               Read keys from the encrypted keystore
+  --resume                 Skip wallets already checked successfully
+  --only-failed <result>   Only re-check wallets that errored in a previous run
+  --dry-run                Sign and verify every wallet locally, no requests are sent
+  --signatures             With --dry-run, also save the address:signature pairs
+  --log-level <level>      Console log level: error, warn, success, info, debug
+  --log-format <format>    Log line format: text or json
+  --no-log-file            Do not write log files
+  --no-progress            Do not show the progress display
+  --json                   Print report, history or diff as JSON
+  --help                   Show this help
+
+Any setting from config.json can also be given as a flag, e.g. --retry-options.retries=5.
+
+Exit codes: 0 success, 1 failure, 2 some wallets could not be checked`;
+
+/**
+ * Parse command line arguments into a command, its options and the
+ * config overrides
+ * @param {string[]} argv - Arguments (process.argv.slice(2))
+ * @returns {Object} - command, options, positionals and configArgs
+ */
+export const parseCliArgs = (argv) => {
+  let command = 'check';
+  let args = argv;
+
+  if (argv.length > 0 && !argv[0].startsWith('-')) {
+    if (!COMMANDS[argv[0]]) {
+      throw new Error(`Unknown command "${argv[0]}"\n\n${USAGE}`);
+    }
+    command = argv[0];
+    args = argv.slice(1);
+  }
+
+  const allowed = [...GLOBAL_FLAGS, ...COMMANDS[command].flags];
+  const options = {};
+  const positionals = [];
+  const settingArgs = [];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+
+    if (arg === '-h' || flag === '--help') {
+      options.help = true;
+    } else if (allowed.includes(flag)) {
+      const name = flag.slice(2).replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+      if (VALUE_FLAGS.includes(flag)) {
+        const value = inlineValue ?? args[++index];
+        if (value === undefined || value.startsWith('--')) {
+          throw new Error(`${flag} requires a value`);
+        }
+        options[name] = value;
+      } else {
+        options[name] = true;
+      }
+    } else if (SETTING_ALIASES[flag]) {
+      settingArgs.push(inlineValue !== undefined ? `${SETTING_ALIASES[flag]}=${inlineValue}` : SETTING_ALIASES[flag]);
+    } else if (arg.startsWith('--')) {
+      settingArgs.push(arg);
+    } else {
+      // Could be the value of the previous setting flag
+      settingArgs.push(arg);
+    }
+  }
+
+  // Anything the config does not recognize is a positional or a mistake
+  const { rest } = readFlagOverrides(settingArgs);
+  rest.forEach((arg) => {
+    if (arg.startsWith('--')) {
+      throw new Error(`Unknown option "${arg}" for command "${command}"\n\n${USAGE}`);
+    }
+    positionals.push(arg);
+  });
+
+  return {
+    command,
+    options,
+    positionals,
+    configArgs: settingArgs
+  };
+};
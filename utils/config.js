@@ -0,0 +1,577 @@
+import { OUTPUT_FORMATS } from './resultWriter.js';
+import { ON_INVALID } from './preflight.js';
+import { LOG_LEVELS, LOG_FORMATS } from './logger.js';
+import { COMMITMENTS, MAX_BATCH_SIZE } from './balances.js';
+
+/**
+ * Configuration schema. Leaves describe a single setting, nodes with
+ * `properties` describe a nested section.
+ */
+export const CONFIG_SCHEMA = {
+  properties: {
+    enableProxy: { type: 'boolean', default: true },
+    keysPath: { type: 'string', default: 'pk.txt' },
+    proxiesPath: { type: 'string', default: 'proxy.txt' },
+    keystore: {
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        path: { type: 'string', default: 'keystore.json' }
+      }
+    },
+    preflight: {
+      properties: {
+        onInvalid: { type: 'string', enum: ON_INVALID, default: 'abort' }
+      }
+    },
+    mnemonic: {
+      properties: {
+        accountStart: { type: 'integer', min: 0, default: 0 },
+        accountCount: { type: 'integer', min: 1, default: 1 },
+        passphrase: { type: 'string', default: '' }
+      }
+    },
+    concurrency: { type: 'integer', min: 1, default: 1 },
+    delayBetweenAccounts: {
+      properties: {
+        min: { type: 'integer', min: 0, default: 3000 },
+        max: { type: 'integer', min: 0, default: 7000 }
+      }
+    },
+    delayAfterCompletion: { type: 'integer', min: 0, default: 0 },
+    retryOptions: {
+      properties: {
+        retries: { type: 'integer', min: 0, default: 3 },
+        minTimeout: { type: 'integer', min: 0, default: 5000 },
+        maxTimeout: { type: 'integer', min: 0, default: 15000 },
+        maxRetryAfter: { type: 'integer', min: 0, default: 60000 }
+      }
+    },
+    rateLimit: {
+      properties: {
+        requestsPerSecond: { type: 'number', min: 0, default: 0 },
+        requestsPerMinute: { type: 'number', min: 0, default: 0 },
+        burst: { type: 'integer', min: 1, default: 1 }
+      }
+    },
+    proxyPool: {
+      properties: {
+        benchAfter: { type: 'integer', min: 1, default: 3 },
+        benchDuration: { type: 'integer', min: 0, default: 60000 },
+        checkUrl: { type: ['url', 'null'], default: null },
+        checkTimeout: { type: 'integer', min: 1, default: 10000 }
+      }
+    },
+    circuitBreaker: {
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        failureThreshold: { type: 'integer', min: 1, default: 5 },
+        cooldown: { type: 'integer', min: 0, default: 30000 }
+      }
+    },
+    // Checks run for every wallet, see utils/checks.js. A check without
+    // endpoint or signatureMessage uses the adapter's, then the settings below.
+    checks: {
+      type: 'array',
+      items: {
+        properties: {
+          name: { type: ['string', 'null'], default: null },
+          // Built-in adapter name or path of a module exporting an adapter
+          adapter: { type: 'string', default: 'og' },
+          enabled: { type: 'boolean', default: true },
+          endpoint: { type: ['url', 'null'], default: null },
+          signatureMessage: { type: ['string', 'null'], default: null }
+        }
+      },
+      default: [{ adapter: 'og' }]
+    },
+    apiEndpoint: { type: 'url', default: 'https://api.paws.community/v1/wallet/solana/og' },
+    requestTimeout: { type: 'integer', min: 1, default: 30000 },
+    signatureMessage: {
+      type: 'string',
+      default: 'PAWS requires you to sign this message to complete the verification process. This is a READ_ONLY interaction and will not affect any of your funds or trigger any transactions.'
+    },
+    userAgent: {
+      type: 'string',
+      default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
+    },
+    output: {
+      properties: {
+        dir: { type: 'string', default: 'result' },
+        formats: { type: 'array', items: { type: 'string', enum: OUTPUT_FORMATS }, default: ['txt'] },
+        includePrivateKeys: { type: 'boolean', default: false },
+        encryptPrivateKeys: { type: 'boolean', default: false },
+        // Store every API request and raw response in raw.jsonl for auditing
+        captureRaw: { type: 'boolean', default: false }
+      }
+    },
+    // On-chain balances added to every result, see utils/balances.js
+    balances: {
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        rpcUrl: { type: 'url', default: 'https://api.mainnet-beta.solana.com' },
+        commitment: { type: 'string', enum: COMMITMENTS, default: 'confirmed' },
+        // Accounts per getMultipleAccountsInfo call
+        batchSize: { type: 'integer', min: 1, max: MAX_BATCH_SIZE, default: MAX_BATCH_SIZE },
+        // SPL tokens to look up, named after their mint when name is null
+        tokens: {
+          type: 'array',
+          items: {
+            properties: {
+              name: { type: ['string', 'null'], default: null },
+              mint: { type: ['string', 'null'], default: null }
+            }
+          },
+          default: []
+        }
+      }
+    },
+    history: {
+      properties: {
+        // Record every run in <output.dir>/history for the diff command
+        enabled: { type: 'boolean', default: true }
+      }
+    },
+    progress: {
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        // Time between progress lines when the output is not a terminal
+        interval: { type: 'integer', min: 1000, default: 10000 }
+      }
+    },
+    logging: {
+      properties: {
+        level: { type: 'string', enum: LOG_LEVELS, default: 'debug' },
+        fileLevel: { type: 'string', enum: LOG_LEVELS, default: 'debug' },
+        format: { type: 'string', enum: LOG_FORMATS, default: 'text' },
+        console: { type: 'boolean', default: true },
+        file: { type: 'boolean', default: true },
+        dir: { type: 'string', default: 'logs' },
+        fileMaxSize: { type: 'string', default: '20m' },
+        // Number of days, or a winston-daily-rotate-file value like "14d" or "10" (files)
+        fileMaxFiles: { type: ['integer', 'string'], min: 1, default: 7 },
+        // Extra strings scrubbed from every log line
+        redact: { type: 'array', items: { type: 'string' }, default: [] }
+      }
+    }
+  }
+};
+
+/**
+ * Prefix for environment variable overrides
+ */
+export const ENV_PREFIX = 'PAWS_';
+
+/**
+ * List every setting in the schema with its dotted path
+ * @param {Object} schema - Schema node
+ * @param {string[]} prefix - Path of the node
+ * @returns {Object[]} - Entries with path (array) and leaf schema
+ */
+export const listSettings = (schema = CONFIG_SCHEMA, prefix = []) => {
+  return Object.entries(schema.properties).flatMap(([key, node]) => {
+    return node.properties
+      ? listSettings(node, [...prefix, key])
+      : [{ path: [...prefix, key], schema: node }];
+  });
+};
+
+/**
+ * camelCase -> kebab-case (retryOptions -> retry-options)
+ * @param {string} name - Property name
+ * @returns {string} - kebab-case name
+ */
+const toKebab = name => name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+
+/**
+ * Environment variable name for a setting, nested sections are joined
+ * with a double underscore (retryOptions.retries -> PAWS_RETRY_OPTIONS__RETRIES)
+ * @param {string[]} settingPath - Setting path
+ * @returns {string} - Environment variable name
+ */
+export const toEnvName = (settingPath) => {
+  return ENV_PREFIX + settingPath.map(part => toKebab(part).replace(/-/g, '_').toUpperCase()).join('__');
+};
+
+/**
+ * Command line flag for a setting (retryOptions.retries -> --retry-options.retries)
+ * @param {string[]} settingPath - Setting path
+ * @returns {string} - Flag name without the leading dashes
+ */
+export const toFlagName = settingPath => settingPath.map(toKebab).join('.');
+
+/**
+ * Describe a value for error messages
+ * @param {any} value - Value
+ * @returns {string} - Printable value
+ */
+const describe = value => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+/**
+ * Convert a string from the command line or environment to the type
+ * the schema expects. Values that cannot be converted are returned as
+ * is so validation reports them.
+ * @param {string} raw - Raw string value
+ * @param {Object} schema - Leaf schema
+ * @returns {any} - Converted value
+ * @throws {Error} - When an array value starting with [ is not valid JSON
+ */
+export const coerceValue = (raw, schema) => {
+  const types = [].concat(schema.type);
+  const text = String(raw).trim();
+
+  if (types.includes('boolean')) {
+    if (/^(true|1|yes|on)$/i.test(text)) return true;
+    if (/^(false|0|no|off)$/i.test(text)) return false;
+  }
+
+  if (types.includes('null') && /^(null)?$/i.test(text)) {
+    return null;
+  }
+
+  if ((types.includes('integer') || types.includes('number')) && text !== '' && !Number.isNaN(Number(text))) {
+    return Number(text);
+  }
+
+  if (types.includes('array')) {
+    if (!text.startsWith('[')) {
+      return text.split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error('invalid JSON');
+    }
+  }
+
+  return raw;
+};
+
+/**
+ * Check a value against a leaf schema
+ * @param {any} value - Value to check
+ * @param {Object} schema - Leaf schema
+ * @returns {string|null} - Problem description or null when valid
+ */
+const checkValue = (value, schema) => {
+  const types = [].concat(schema.type);
+
+  const matchesType = types.some((type) => {
+    switch (type) {
+      case 'boolean': return typeof value === 'boolean';
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'string': return typeof value === 'string';
+      case 'array': return Array.isArray(value);
+      case 'null': return value === null;
+      case 'url': {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      }
+      default: return false;
+    }
+  });
+
+  if (!matchesType) {
+    const expected = types.map(type => (type === 'url' ? 'http(s) URL' : type)).join(' or ');
+    return `expected ${expected}, got ${describe(value)}`;
+  }
+
+  if (typeof value === 'number' && schema.min !== undefined && value < schema.min) {
+    return `must be >= ${schema.min}, got ${value}`;
+  }
+
+  if (typeof value === 'number' && schema.max !== undefined && value > schema.max) {
+    return `must be <= ${schema.max}, got ${value}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(', ')}, got ${describe(value)}`;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    const index = value.findIndex(item => checkValue(item, schema.items) !== null);
+    if (index !== -1) {
+      return `item ${index}: ${checkValue(value[index], schema.items)}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Levenshtein distance, used to suggest the intended key for typos
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Find the closest known key for an unknown one
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Known keys
+ * @returns {string|null} - Suggestion or null
+ */
+const suggestKey = (key, known) => {
+  const ranked = known
+    .map(candidate => ({ candidate, distance: editDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  return ranked.length > 0 && ranked[0].distance <= Math.max(2, Math.floor(key.length / 4))
+    ? ranked[0].candidate
+    : null;
+};
+
+/**
+ * Validate a raw configuration object and fill in defaults
+ * @param {Object} raw - Parsed configuration
+ * @param {Object} schema - Schema node
+ * @param {string[]} prefix - Path of the node
+ * @returns {Object} - Config, errors and warnings
+ */
+const applySchema = (raw, schema, prefix = []) => {
+  const config = {};
+  const errors = [];
+  const warnings = [];
+  const known = Object.keys(schema.properties);
+
+  Object.keys(raw).forEach((key) => {
+    if (!known.includes(key)) {
+      const suggestion = suggestKey(key, known);
+      const name = [...prefix, key].join('.');
+      warnings.push(suggestion
+        ? `Unknown setting "${name}" is ignored, did you mean "${[...prefix, suggestion].join('.')}"?`
+        : `Unknown setting "${name}" is ignored`);
+    }
+  });
+
+  known.forEach((key) => {
+    const node = schema.properties[key];
+    const settingPath = [...prefix, key];
+    const name = settingPath.join('.');
+    const value = raw[key];
+
+    if (node.properties) {
+      if (value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        errors.push(`${name}: expected an object, got ${describe(value)}`);
+        config[key] = applySchema({}, node, settingPath).config;
+        return;
+      }
+
+      const nested = applySchema(value || {}, node, settingPath);
+      config[key] = nested.config;
+      errors.push(...nested.errors);
+      warnings.push(...nested.warnings);
+      return;
+    }
+
+    if (node.items?.properties) {
+      const nested = applyItemsSchema(value === undefined ? node.default : value, node, settingPath);
+      config[key] = nested.config;
+      errors.push(...nested.errors);
+      warnings.push(...nested.warnings);
+      return;
+    }
+
+    if (value === undefined) {
+      config[key] = Array.isArray(node.default) ? [...node.default] : node.default;
+      return;
+    }
+
+    const problem = checkValue(value, node);
+    if (problem) {
+      errors.push(`${name}: ${problem}`);
+    }
+    config[key] = value;
+  });
+
+  return { config, errors, warnings };
+};
+
+/**
+ * Validate a list of objects (array settings whose items have `properties`)
+ * and fill in the defaults of every item
+ * @param {any} value - Raw list
+ * @param {Object} schema - Leaf schema
+ * @param {string[]} settingPath - Setting path
+ * @returns {Object} - Config, errors and warnings
+ */
+const applyItemsSchema = (value, schema, settingPath) => {
+  const name = settingPath.join('.');
+
+  if (!Array.isArray(value)) {
+    return { config: [], errors: [`${name}: expected array, got ${describe(value)}`], warnings: [] };
+  }
+
+  const config = [];
+  const errors = [];
+  const warnings = [];
+
+  value.forEach((item, index) => {
+    const itemPath = [...settingPath.slice(0, -1), `${settingPath[settingPath.length - 1]}[${index}]`];
+
+    if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+      errors.push(`${itemPath.join('.')}: expected an object, got ${describe(item)}`);
+      return;
+    }
+
+    const nested = applySchema(item, schema.items, itemPath);
+    config.push(nested.config);
+    errors.push(...nested.errors);
+    warnings.push(...nested.warnings);
+  });
+
+  return { config, errors, warnings };
+};
+
+/**
+ * Set a value at a path, creating intermediate objects
+ * @param {Object} target - Object to modify
+ * @param {string[]} settingPath - Setting path
+ * @param {any} value - Value
+ */
+const setPath = (target, settingPath, value) => {
+  const parents = settingPath.slice(0, -1);
+  let node = target;
+
+  parents.forEach((key) => {
+    if (typeof node[key] !== 'object' || node[key] === null) {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+
+  node[settingPath[settingPath.length - 1]] = value;
+};
+
+/**
+ * Build an override from a raw string. A value that cannot be converted
+ * is kept with the reason, resolveConfig reports it with the other errors.
+ * @param {Object} setting - Setting with path and schema (see listSettings)
+ * @param {string} raw - Raw string value
+ * @param {string} source - Environment variable or flag the value came from
+ * @returns {Object} - Override with path, value, source and error (if any)
+ */
+const createOverride = ({ path, schema }, raw, source) => {
+  try {
+    return { path, value: coerceValue(raw, schema), source };
+  } catch (error) {
+    return { path, value: raw, source, error: error.message };
+  }
+};
+
+/**
+ * Collect overrides from PAWS_* environment variables
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object[]} - Overrides with path, value and source
+ */
+export const readEnvOverrides = (env = process.env) => {
+  return listSettings()
+    .filter(({ path }) => env[toEnvName(path)] !== undefined)
+    .map(setting => createOverride(setting, env[toEnvName(setting.path)], toEnvName(setting.path)));
+};
+
+/**
+ * Collect overrides from command line flags such as --concurrency 3,
+ * --retry-options.retries=5, --enable-proxy or --no-enable-proxy.
+ * Flags that do not name a setting are returned untouched.
+ * @param {string[]} argv - Command line arguments
+ * @returns {Object} - Overrides and remaining arguments
+ */
+export const readFlagOverrides = (argv = []) => {
+  const settings = new Map(listSettings().map(setting => [toFlagName(setting.path), setting]));
+  const overrides = [];
+  const rest = [];
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const match = /^--(no-)?([a-z0-9.-]+)(?:=(.*))?$/.exec(arg);
+    const setting = match && settings.get(match[2]);
+
+    if (!setting) {
+      rest.push(arg);
+      continue;
+    }
+
+    const [, negated, flag, inlineValue] = match;
+    const isBoolean = [].concat(setting.schema.type).includes('boolean');
+    let raw = inlineValue;
+
+    if (negated) {
+      raw = 'false';
+    } else if (raw === undefined && isBoolean && (argv[index + 1] === undefined || argv[index + 1].startsWith('--'))) {
+      raw = 'true';
+    } else if (raw === undefined) {
+      raw = argv[++index];
+    }
+
+    overrides.push(createOverride(setting, raw ?? '', `--${flag}`));
+  }
+
+  return { overrides, rest };
+};
+
+/**
+ * Build the effective configuration: defaults, then the config file,
+ * then PAWS_* environment variables, then command line flags
+ * @param {Object} raw - Parsed config file
+ * @param {Object} options - Override sources
+ * @param {Object} options.env - Environment variables
+ * @param {string[]} options.argv - Command line arguments
+ * @returns {Object} - Config, warnings and applied overrides
+ */
+export const resolveConfig = (raw, { env = {}, argv = [] } = {}) => {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error('Configuration must be a JSON object');
+  }
+
+  const merged = JSON.parse(JSON.stringify(raw));
+  const overrides = [...readEnvOverrides(env), ...readFlagOverrides(argv).overrides];
+  const overrideErrors = overrides
+    .filter(override => override.error)
+    .map(({ path, source, error }) => `${path.join('.')}: ${error} (from ${source})`);
+  overrides
+    .filter(override => !override.error)
+    .forEach(({ path, value }) => setPath(merged, path, value));
+
+  const { config, errors, warnings } = applySchema(merged, CONFIG_SCHEMA);
+
+  if (config.delayBetweenAccounts.min > config.delayBetweenAccounts.max) {
+    errors.push('delayBetweenAccounts: min must not be greater than max');
+  }
+
+  if (config.retryOptions.minTimeout > config.retryOptions.maxTimeout) {
+    errors.push('retryOptions: minTimeout must not be greater than maxTimeout');
+  }
+
+  if (errors.length > 0 || overrideErrors.length > 0) {
+    // Point at the override when the bad value did not come from the file
+    const annotated = errors.map((error) => {
+      const override = [...overrides].reverse().find(({ path }) => {
+        const name = path.join('.');
+        return error.startsWith(`${name}:`) || error.startsWith(`${name}[`);
+      });
+      return override ? `${error} (from ${override.source})` : error;
+    });
+    throw new Error(`Invalid configuration:\n  - ${[...overrideErrors, ...annotated].join('\n  - ')}`);
+  }
+
+  return { config, warnings, overrides };
+};
@@ -0,0 +1,103 @@
+import http from 'http';
+import https from 'https';
+
+/**
+ * Keep sockets open between requests so later requests skip the TCP and
+ * TLS handshakes
+ */
+export const KEEP_ALIVE_OPTIONS = {
+  keepAlive: true,
+  keepAliveMsecs: 10000,
+  maxSockets: 16
+};
+
+/**
+ * Measure how long it takes an agent to hand out a new socket. The time
+ * is stored on the request as connectMs; requests on reused sockets do
+ * not get it. Covers TCP, TLS and proxy handshakes alike.
+ * @param {http.Agent} agent - Agent to instrument
+ * @returns {http.Agent} - The same agent
+ */
+export const trackConnectTime = (agent) => {
+  // createSocket() is only called when no idle socket can be reused
+  const createSocket = agent.createSocket;
+
+  agent.createSocket = function (req, options, cb) {
+    const startedAt = Date.now();
+
+    return createSocket.call(this, req, options, (error, socket) => {
+      if (!error && socket) {
+        const done = () => {
+          req.connectMs = Date.now() - startedAt;
+        };
+
+        // Native agents return the socket before it is connected, proxy
+        // agents only once the tunnel is up
+        if (socket.connecting) {
+          socket.once(agent instanceof https.Agent ? 'secureConnect' : 'connect', done);
+        } else {
+          done();
+        }
+      }
+
+      cb(error, socket);
+    });
+  };
+
+  return agent;
+};
+
+/**
+ * Create keep-alive agents for direct connections
+ * @returns {Object} - httpAgent and httpsAgent
+ */
+export const createDirectAgents = () => ({
+  httpAgent: trackConnectTime(new http.Agent(KEEP_ALIVE_OPTIONS)),
+  httpsAgent: trackConnectTime(new https.Agent(KEEP_ALIVE_OPTIONS))
+});
+
+/**
+ * Create a collector for request timings
+ * @returns {Object} - Collector with record() and summary()
+ */
+export const createConnectionStats = () => {
+  const totals = {
+    requests: 0,
+    newConnections: 0,
+    connectMs: 0,
+    responseMs: 0
+  };
+
+  /**
+   * Record one finished request
+   * @param {Object} timing - Request timing
+   * @param {number|undefined} timing.connectMs - Time to get a new socket, undefined when reused
+   * @param {number} timing.totalMs - Time from sending to the complete response
+   * @returns {void}
+   */
+  const record = ({ connectMs, totalMs }) => {
+    totals.requests++;
+    if (connectMs !== undefined) {
+      totals.newConnections++;
+      totals.connectMs += connectMs;
+    }
+    totals.responseMs += Math.max(0, totalMs - (connectMs ?? 0));
+  };
+
+  /**
+   * Averages for the run summary
+   * @returns {Object} - requests, newConnections, reusedConnections, avgConnectMs and avgResponseMs
+   */
+  const summary = () => ({
+    requests: totals.requests,
+    newConnections: totals.newConnections,
+    reusedConnections: totals.requests - totals.newConnections,
+    avgConnectMs: totals.newConnections > 0 ? Math.round(totals.connectMs / totals.newConnections) : null,
+    avgResponseMs: totals.requests > 0 ? Math.round(totals.responseMs / totals.requests) : null
+  });
+
+  return {
+    record,
+    summary
+  };
+};
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * scrypt parameters for new files (N = 2^15, ~32 MB of memory)
+ */
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Derive an encryption key from a password
+ * @param {string} password - Password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt parameters (N, r, p)
+ * @returns {Promise<Buffer>} - Derived key
+ */
+const deriveKey = (password, salt, params) => {
+  return scrypt(password, salt, KEY_LENGTH, {
+    ...params,
+    // Default maxmem (32 MB) is just below what N = 2^15 needs
+    maxmem: 256 * params.N * params.r
+  });
+};
+
+/**
+ * Encrypt a string with a password (scrypt + AES-256-GCM)
+ * @param {string} plaintext - Text to encrypt
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - Serializable encrypted payload
+ */
+export const encryptText = async (plaintext, password) => {
+  if (!password) {
+    throw new Error('A password is required for encryption');
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    kdf: 'scrypt',
+    kdfParams: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    cipher: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+/**
+ * Decrypt a payload created by encryptText
+ * @param {Object} payload - Encrypted payload
+ * @param {string} password - Password
+ * @returns {Promise<string>} - Decrypted text
+ */
+export const decryptText = async (payload, password) => {
+  if (!payload || payload.kdf !== 'scrypt' || payload.cipher !== CIPHER) {
+    throw new Error('Unsupported encrypted file format');
+  }
+
+  const { salt, ...params } = payload.kdfParams;
+  const key = await deriveKey(password, Buffer.from(salt, 'base64'), params);
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    // GCM authentication fails for both a wrong password and a tampered file
+    throw new Error('Wrong password or corrupted file');
+  }
+};
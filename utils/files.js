@@ -1,5 +1,9 @@
 import fs from 'fs-extra';
+import path from 'path';
 import logger from './logger.js';
+import { validateKeys, validateProxies, logValidationReport } from './preflight.js';
+import { resolveConfig } from './config.js';
+import { createResultWriter, buildSummary } from './resultWriter.js';
 
 /**
  * Read lines from a file
@@ -29,15 +33,68 @@ export const readLines = async (filePath) => {
 };
 
 /**
- * Read private keys from file
+ * Read non-empty lines together with their location (file:line)
  * @param {string} filePath - Path to file
- * @returns {Promise<string[]>} - Array of private keys
+ * @returns {Promise<Object[]>} - Entries with location and text
  */
-export const readPrivateKeys = async (filePath = 'pk.txt') => {
+export const readNumberedLines = async (filePath) => {
   try {
-    const keys = await readLines(filePath);
-    logger.info(`Loaded ${keys.length} private keys`);
-    return keys;
+    if (!await fs.pathExists(filePath)) {
+      logger.warn(`File not found: ${filePath}`);
+      return [];
+    }
+    
+    const content = await fs.readFile(filePath, 'utf8');
+    
+    return content
+      .split('\n')
+      .map((line, index) => ({ location: `${filePath}:${index + 1}`, text: line.trim() }))
+      .filter(entry => entry.text !== '');
+  } catch (error) {
+    logger.error(`Error reading file ${filePath}: ${error.message}`);
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Read key entries from a file, or from every *.json keypair file
+ * (solana-keygen format) when the path is a directory
+ * @param {string} filePath - Path to file or directory
+ * @returns {Promise<Object[]>} - Entries with location and raw key text
+ */
+export const readKeyEntries = async (filePath) => {
+  if (await fs.pathExists(filePath) && (await fs.stat(filePath)).isDirectory()) {
+    const fileNames = (await fs.readdir(filePath))
+      .filter(name => name.toLowerCase().endsWith('.json'))
+      .sort();
+    
+    return Promise.all(fileNames.map(async (name) => {
+      const location = path.join(filePath, name);
+      const content = await fs.readFile(location, 'utf8');
+      // Keep one line per wallet regardless of how the JSON was formatted
+      return { location, text: content.replace(/\s+/g, '') };
+    }));
+  }
+  
+  return readNumberedLines(filePath);
+};
+
+/**
+ * Read private keys from file. Invalid and duplicated entries are
+ * reported and skipped.
+ * @param {string} filePath - Path to file, or a directory of keypair JSON files
+ * @param {Object} mnemonicOptions - Derivation options for mnemonic lines
+ *   (accountStart, accountCount, passphrase)
+ * @returns {Promise<string[]>} - Array of base58 private keys
+ */
+export const readPrivateKeys = async (filePath = 'pk.txt', mnemonicOptions = {}) => {
+  try {
+    const entries = await readKeyEntries(filePath);
+    const report = validateKeys(entries, mnemonicOptions);
+    logValidationReport(report, 'private keys');
+    
+    logger.info(`Loaded ${report.keys.length} private keys from ${entries.length} entries`);
+    return report.keys;
   } catch (error) {
     logger.error(`Failed to load private keys: ${error.message}`);
     throw new Error(`Failed to load private keys: ${error.message}`);
@@ -45,15 +102,19 @@ export const readPrivateKeys = async (filePath = 'pk.txt') => {
 };
 
 /**
- * Read proxies from file
+ * Read proxies from file. Lines may be URLs (http, https, socks4, socks5),
+ * host:port, host:port:user:pass or user:pass@host:port. Comments,
+ * malformed and duplicated proxies are reported and skipped.
  * @param {string} filePath - Path to file
- * @returns {Promise<string[]>} - Array of proxies
+ * @returns {Promise<Object[]>} - Normalized proxies (see parseProxy)
  */
 export const readProxies = async (filePath = 'proxy.txt') => {
   try {
-    const proxies = await readLines(filePath);
-    logger.info(`Loaded ${proxies.length} proxies`);
-    return proxies;
+    const report = validateProxies(await readNumberedLines(filePath));
+    logValidationReport(report, 'proxies');
+    
+    logger.info(`Loaded ${report.proxies.length} proxies`);
+    return report.proxies;
   } catch (error) {
     logger.error(`Failed to load proxies: ${error.message}`);
     return [];
@@ -61,11 +122,15 @@ export const readProxies = async (filePath = 'proxy.txt') => {
 };
 
 /**
- * Read configuration from file
+ * Read configuration from file, validate it against the schema and
+ * apply PAWS_* environment and command line overrides
  * @param {string} filePath - Path to file
+ * @param {Object} overrides - Override sources
+ * @param {Object} overrides.env - Environment variables
+ * @param {string[]} overrides.argv - Command line arguments
  * @returns {Promise<Object>} - Configuration object
  */
-export const readConfig = async (filePath = 'config.json') => {
+export const readConfig = async (filePath = 'config.json', { env = {}, argv = [] } = {}) => {
   try {
     // Check if file exists
     if (!await fs.pathExists(filePath)) {
@@ -77,7 +142,21 @@ export const readConfig = async (filePath = 'config.json') => {
     const content = await fs.readFile(filePath, 'utf8');
     
     // Parse JSON
-    return JSON.parse(content);
+    let raw;
+    try {
+      raw = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+    }
+    
+    // Validate and fill in defaults
+    const { config, warnings, overrides } = resolveConfig(raw, { env, argv });
+    warnings.forEach(warning => logger.warn(warning));
+    overrides.forEach(({ path: settingPath, source }) => {
+      logger.debug(`Setting ${settingPath.join('.')} overridden by ${source}`);
+    });
+    
+    return config;
   } catch (error) {
     logger.error(`Error reading configuration: ${error.message}`);
     throw new Error(`Failed to read configuration: ${error.message}`);
@@ -85,42 +164,23 @@ export const readConfig = async (filePath = 'config.json') => {
 };
 
 /**
- * Save results to file
+ * Save a batch of results into a new timestamped run folder
  * @param {Object[]} results - Results to save
- * @returns {Promise<void>}
+ * @param {Object} options - Result writer options (baseDir, startedAt, formats, includePrivateKeys, keyPassword)
+ * @returns {Promise<string|null>} - Path of the run folder or null on failure
  */
-export const saveResults = async (results) => {
+export const saveResults = async (results, options = {}) => {
   try {
-    // Create result folder if it doesn't exist
-    await fs.ensureDir('result');
-    
-    // Filter eligible and non-eligible wallets and format with amount for eligible ones
-    const eligibleWallets = results
-      .filter(r => r.eligible)
-      .map(r => `${r.privateKey}:${r.publicKey}:${r.amount}`);
-      
-    const notEligibleWallets = results
-      .filter(r => !r.eligible)
-      .map(r => `${r.privateKey}:${r.publicKey}`);
+    const writer = createResultWriter(options);
     
-    // Save eligible wallets to eligible.txt
-    if (eligibleWallets.length > 0) {
-      await fs.writeFile('result/eligible.txt', eligibleWallets.join('\n'));
-      logger.success(`${eligibleWallets.length} eligible wallets (pk:address:amount format) saved to result/eligible.txt`);
-    } else {
-      await fs.writeFile('result/eligible.txt', '');
-      logger.info('No eligible wallets found');
+    for (const result of results) {
+      await writer.write(result, result.privateKey);
     }
     
-    // Save non-eligible wallets to noteligible.txt
-    if (notEligibleWallets.length > 0) {
-      await fs.writeFile('result/noteligible.txt', notEligibleWallets.join('\n'));
-      logger.info(`${notEligibleWallets.length} non-eligible wallets (pk:address format) saved to result/noteligible.txt`);
-    } else {
-      await fs.writeFile('result/noteligible.txt', '');
-      logger.info('No non-eligible wallets found');
-    }
+    const { runDir } = await writer.close(buildSummary(results, { startedAt: options.startedAt }));
+    return runDir;
   } catch (error) {
     logger.error(`Failed to save results: ${error.message}`);
+    return null;
   }
 };
\ No newline at end of file
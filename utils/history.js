@@ -0,0 +1,176 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { REDACTED } from './logger.js';
+import { STATUS, isErrorStatus } from './status.js';
+import { getResultStatus } from './resultWriter.js';
+import { isSameAmount } from './amount.js';
+
+/**
+ * Folder inside the output directory that holds the run history
+ */
+export const HISTORY_DIR = 'history';
+
+/**
+ * Copy the configuration for the history without its secrets
+ * @param {Object} config - Configuration
+ * @returns {Object} - Configuration snapshot
+ */
+export const snapshotConfig = (config) => {
+  const snapshot = JSON.parse(JSON.stringify(config));
+
+  if (snapshot.mnemonic?.passphrase) {
+    snapshot.mnemonic.passphrase = REDACTED;
+  }
+
+  // Paid RPC URLs carry an API key
+  if (snapshot.balances?.rpcUrl) {
+    snapshot.balances.rpcUrl = REDACTED;
+  }
+
+  if (snapshot.logging?.redact) {
+    snapshot.logging.redact = snapshot.logging.redact.map(() => REDACTED);
+  }
+
+  return snapshot;
+};
+
+/**
+ * Create a run history store with one JSON document per run. Run ids are
+ * the names of the run folders, so they sort by start time.
+ * @param {string} dir - History folder
+ * @returns {Object} - History store
+ */
+export const createHistoryStore = (dir) => {
+  const runPath = runId => path.join(dir, `${runId}.json`);
+
+  /**
+   * Record a finished run
+   * @param {Object} run - Run details
+   * @param {string} run.runId - Run id (name of the run folder)
+   * @param {Object} run.config - Configuration used for the run
+   * @param {Object} run.summary - Run summary (see buildSummary)
+   * @param {Object[]} run.results - Results of the run
+   * @returns {Promise<string>} - Path of the history document
+   */
+  const save = async ({ runId, config, summary, results }) => {
+    const document = {
+      runId,
+      startedAt: summary.startedAt ?? null,
+      finishedAt: summary.finishedAt ?? null,
+      config: snapshotConfig(config),
+      summary: {
+        totalWallets: summary.totalWallets,
+        eligible: summary.eligible,
+        notEligible: summary.notEligible,
+        errors: summary.errors,
+        totalTokens: summary.totalTokens
+      },
+      wallets: results.map(result => ({
+        publicKey: result.publicKey,
+        status: getResultStatus(result),
+        amount: result.amount ?? 0,
+        error: result.error ?? null
+      }))
+    };
+
+    // Write via a temporary file so a crash never leaves half a document
+    const filePath = runPath(runId);
+    await fs.ensureDir(dir);
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(document, null, 2));
+    await fs.rename(`${filePath}.tmp`, filePath);
+    return filePath;
+  };
+
+  /**
+   * List the recorded runs, oldest first
+   * @returns {Promise<Object[]>} - runId, startedAt, finishedAt and summary of every run
+   */
+  const list = async () => {
+    if (!await fs.pathExists(dir)) {
+      return [];
+    }
+
+    const runIds = (await fs.readdir(dir))
+      .filter(fileName => fileName.endsWith('.json'))
+      .map(fileName => fileName.slice(0, -'.json'.length))
+      .sort();
+
+    return Promise.all(runIds.map(async (runId) => {
+      const { startedAt, finishedAt, summary } = await fs.readJson(runPath(runId));
+      return { runId, startedAt, finishedAt, summary };
+    }));
+  };
+
+  /**
+   * Load a recorded run
+   * @param {string} runId - Run id
+   * @returns {Promise<Object>} - History document
+   */
+  const load = async (runId) => {
+    if (!await fs.pathExists(runPath(runId))) {
+      throw new Error(`Run ${runId} not found in ${dir}`);
+    }
+
+    return fs.readJson(runPath(runId));
+  };
+
+  return {
+    dir,
+    save,
+    list,
+    load
+  };
+};
+
+/**
+ * Compare the wallets of two runs. Only wallets present in both runs are
+ * compared, the others are listed as added or removed.
+ * @param {Object} from - Earlier history document
+ * @param {Object} to - Later history document
+ * @returns {Object} - newlyEligible, noLongerEligible, amountChanged,
+ *   newlyErroring, statusChanged (any other change of status), added,
+ *   removed and the number of wallets whose status stayed the same
+ */
+export const diffRuns = (from, to) => {
+  const before = new Map(from.wallets.map(wallet => [wallet.publicKey, wallet]));
+  const after = new Map(to.wallets.map(wallet => [wallet.publicKey, wallet]));
+  const diff = {
+    from: from.runId,
+    to: to.runId,
+    newlyEligible: [],
+    noLongerEligible: [],
+    amountChanged: [],
+    newlyErroring: [],
+    statusChanged: [],
+    added: to.wallets.filter(wallet => !before.has(wallet.publicKey)).map(wallet => wallet.publicKey),
+    removed: from.wallets.filter(wallet => !after.has(wallet.publicKey)).map(wallet => wallet.publicKey),
+    unchanged: 0
+  };
+
+  to.wallets.forEach((current) => {
+    const previous = before.get(current.publicKey);
+    if (!previous) {
+      return;
+    }
+
+    const { publicKey } = current;
+    const wasEligible = previous.status === STATUS.ELIGIBLE;
+    const isEligible = current.status === STATUS.ELIGIBLE;
+
+    if (isEligible && !wasEligible) {
+      diff.newlyEligible.push({ publicKey, amount: current.amount, previousStatus: previous.status });
+    } else if (wasEligible && current.status === STATUS.NOT_ELIGIBLE) {
+      diff.noLongerEligible.push({ publicKey, previousAmount: previous.amount });
+    } else if (wasEligible && isEligible && !isSameAmount(current.amount, previous.amount)) {
+      diff.amountChanged.push({ publicKey, previousAmount: previous.amount, amount: current.amount });
+    } else if (isErrorStatus(current.status) && !isErrorStatus(previous.status)) {
+      diff.newlyErroring.push({ publicKey, status: current.status, error: current.error, previousStatus: previous.status });
+    } else if (current.status !== previous.status) {
+      diff.statusChanged.push({ publicKey, status: current.status, previousStatus: previous.status });
+    } else {
+      diff.unchanged++;
+    }
+  });
+
+  return diff;
+};
@@ -0,0 +1,118 @@
+import fs from 'fs-extra';
+import path from 'path';
+import bs58 from 'bs58';
+import logger from './logger.js';
+import { encryptText, decryptText } from './crypto.js';
+import { createKeypairFromPrivateKey } from './solana.js';
+
+/**
+ * Default keystore location
+ */
+export const DEFAULT_KEYSTORE_FILE = 'keystore.json';
+
+/**
+ * Environment variable holding the keystore password
+ */
+export const KEYSTORE_PASSWORD_ENV = 'PAWS_KEYSTORE_PASSWORD';
+
+/**
+ * Check whether a keystore file exists
+ * @param {string} filePath - Path to keystore
+ * @returns {Promise<boolean>} - True if the file exists
+ */
+export const keystoreExists = (filePath = DEFAULT_KEYSTORE_FILE) => fs.pathExists(filePath);
+
+/**
+ * Decrypt and read all keystore entries
+ * @param {string} filePath - Path to keystore
+ * @param {string} password - Keystore password
+ * @returns {Promise<Object[]>} - Entries with publicKey, privateKey and addedAt
+ */
+export const loadKeystore = async (filePath = DEFAULT_KEYSTORE_FILE, password) => {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Keystore not found: ${filePath}`);
+  }
+
+  const payload = await fs.readJson(filePath);
+  const { entries } = JSON.parse(await decryptText(payload, password));
+  return entries;
+};
+
+/**
+ * Encrypt and write keystore entries, replacing the file atomically
+ * @param {string} filePath - Path to keystore
+ * @param {Object[]} entries - Keystore entries
+ * @param {string} password - Keystore password
+ * @returns {Promise<void>}
+ */
+export const saveKeystore = async (filePath = DEFAULT_KEYSTORE_FILE, entries, password) => {
+  const payload = await encryptText(JSON.stringify({ entries }), password);
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(tempPath, JSON.stringify(payload, null, 2), { mode: 0o600 });
+  await fs.rename(tempPath, filePath);
+};
+
+/**
+ * Add private keys to a keystore entry list, skipping invalid keys and
+ * addresses that are already present
+ * @param {Object[]} entries - Existing entries (modified in place)
+ * @param {string[]} privateKeys - Private keys to add
+ * @returns {Object} - Counts of added, duplicate and invalid keys
+ */
+export const addKeysToEntries = (entries, privateKeys) => {
+  const known = new Set(entries.map(entry => entry.publicKey));
+  const counts = { added: 0, duplicates: 0, invalid: 0 };
+
+  privateKeys.forEach((privateKey) => {
+    const keypair = createKeypairFromPrivateKey(privateKey);
+    if (!keypair) {
+      counts.invalid++;
+      return;
+    }
+
+    const publicKey = keypair.publicKey.toBase58();
+    if (known.has(publicKey)) {
+      counts.duplicates++;
+      return;
+    }
+
+    known.add(publicKey);
+    entries.push({
+      publicKey,
+      privateKey: bs58.encode(keypair.secretKey),
+      addedAt: new Date().toISOString()
+    });
+    counts.added++;
+  });
+
+  return counts;
+};
+
+/**
+ * Remove an entry by address
+ * @param {Object[]} entries - Keystore entries
+ * @param {string} publicKey - Address to remove
+ * @returns {Object[]} - Remaining entries
+ */
+export const removeEntry = (entries, publicKey) => {
+  return entries.filter(entry => entry.publicKey !== publicKey);
+};
+
+/**
+ * Read the private keys from a keystore for a run
+ * @param {string} filePath - Path to keystore
+ * @param {string} password - Keystore password
+ * @returns {Promise<string[]>} - Base58 private keys
+ */
+export const readKeystoreKeys = async (filePath = DEFAULT_KEYSTORE_FILE, password) => {
+  try {
+    const entries = await loadKeystore(filePath, password);
+    logger.info(`Unlocked keystore with ${entries.length} private keys`);
+    return entries.map(entry => entry.privateKey);
+  } catch (error) {
+    logger.error(`Failed to unlock keystore: ${error.message}`);
+    throw new Error(`Failed to unlock keystore: ${error.message}`);
+  }
+};
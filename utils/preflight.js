@@ -0,0 +1,234 @@
+import bs58 from 'bs58';
+import logger from './logger.js';
+import {
+  KEY_FORMATS,
+  detectKeyFormat,
+  normalizePrivateKey,
+  createKeypairFromPrivateKey
+} from './solana.js';
+import { parseProxy } from './proxy.js';
+
+/**
+ * Issue severities. Errors are handled per preflight.onInvalid,
+ * warnings and notices are always skipped.
+ */
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  NOTICE: 'notice'
+};
+
+/**
+ * Supported preflight.onInvalid values
+ */
+export const ON_INVALID = ['abort', 'skip'];
+
+const BASE58_ALPHABET = /^[1-9A-HJ-NP-Za-km-z]$/;
+
+/**
+ * Check whether a line is a comment
+ * @param {string} text - Line text
+ * @returns {boolean} - True for lines starting with # or //
+ */
+const isComment = (text) => text.startsWith('#') || text.startsWith('//');
+
+/**
+ * Explain why a key line cannot be used. Never includes the key itself.
+ * @param {string} text - Key line
+ * @param {Error} error - Error raised while decoding
+ * @returns {Object} - Issue type and message
+ */
+const describeKeyError = (text, error) => {
+  const format = detectKeyFormat(text);
+
+  if (format === KEY_FORMATS.BASE58) {
+    let bytes;
+    try {
+      bytes = bs58.decode(text);
+    } catch (decodeError) {
+      return { type: 'invalid_base58', message: 'Not a valid base58 string' };
+    }
+    if (bytes.length !== 64) {
+      return { type: 'wrong_length', message: `Secret key decodes to ${bytes.length} bytes, expected 64` };
+    }
+    return { type: 'invalid_key', message: 'Secret key does not match its embedded public key' };
+  }
+
+  if (format === null) {
+    const badChar = [...text].find(char => !BASE58_ALPHABET.test(char));
+    const message = badChar
+      ? `Unrecognized key format (invalid base58 character '${badChar === ' ' ? 'space' : badChar}' at position ${text.indexOf(badChar) + 1})`
+      : 'Unrecognized key format';
+    return { type: 'invalid_base58', message };
+  }
+
+  if (format === KEY_FORMATS.MNEMONIC) {
+    return { type: 'invalid_mnemonic', message: error.message };
+  }
+
+  return {
+    type: /length/.test(error.message) ? 'wrong_length' : `invalid_${format}`,
+    message: error.message
+  };
+};
+
+/**
+ * Validate private key entries without contacting the network. Reports
+ * comments, malformed keys, duplicated lines and different lines that
+ * resolve to the same public key.
+ * @param {Object[]} entries - Entries with location (e.g. pk.txt:3) and text
+ * @param {Object} mnemonicOptions - Derivation options for mnemonics
+ * @returns {Object} - Report with valid keys, issues and counts
+ */
+export const validateKeys = (entries, mnemonicOptions = {}) => {
+  const issues = [];
+  const keys = [];
+  const seenLines = new Map();
+  const seenAddresses = new Map();
+
+  entries.forEach(({ location, text }) => {
+    if (isComment(text)) {
+      issues.push({ location, severity: SEVERITY.NOTICE, type: 'comment', message: 'Comment line skipped' });
+      return;
+    }
+
+    if (seenLines.has(text)) {
+      issues.push({
+        location,
+        severity: SEVERITY.WARNING,
+        type: 'duplicate_key',
+        message: `Same key as ${seenLines.get(text)}`
+      });
+      return;
+    }
+    seenLines.set(text, location);
+
+    let normalized;
+    try {
+      normalized = normalizePrivateKey(text, mnemonicOptions);
+    } catch (error) {
+      issues.push({ location, severity: SEVERITY.ERROR, ...describeKeyError(text, error) });
+      return;
+    }
+
+    normalized.forEach((privateKey, index) => {
+      const publicKey = createKeypairFromPrivateKey(privateKey).publicKey.toBase58();
+      const keyLocation = normalized.length > 1 ? `${location} (account ${index})` : location;
+
+      if (seenAddresses.has(publicKey)) {
+        issues.push({
+          location: keyLocation,
+          severity: SEVERITY.WARNING,
+          type: 'duplicate_address',
+          message: `Resolves to the same address as ${seenAddresses.get(publicKey)} (${publicKey})`
+        });
+        return;
+      }
+
+      seenAddresses.set(publicKey, keyLocation);
+      keys.push(privateKey);
+    });
+  });
+
+  return { ...buildReport(keys, issues, entries.length), keys };
+};
+
+/**
+ * Validate proxy entries: comments, malformed lines and duplicates
+ * @param {Object[]} entries - Entries with location (e.g. proxy.txt:3) and text
+ * @returns {Object} - Report with valid proxies (normalized, see parseProxy),
+ *   issues and counts
+ */
+export const validateProxies = (entries) => {
+  const issues = [];
+  const proxies = [];
+  const seen = new Map();
+
+  entries.forEach(({ location, text }) => {
+    if (isComment(text)) {
+      issues.push({ location, severity: SEVERITY.NOTICE, type: 'comment', message: 'Comment line skipped' });
+      return;
+    }
+
+    let proxy;
+    try {
+      proxy = parseProxy(text);
+    } catch (error) {
+      issues.push({ location, severity: SEVERITY.ERROR, type: 'malformed_proxy', message: error.message });
+      return;
+    }
+
+    // Different notations of the same proxy are duplicates too
+    if (seen.has(proxy.url)) {
+      issues.push({
+        location,
+        severity: SEVERITY.WARNING,
+        type: 'duplicate_proxy',
+        message: `Same proxy as ${seen.get(proxy.url)}`
+      });
+      return;
+    }
+
+    seen.set(proxy.url, location);
+    proxies.push(proxy);
+  });
+
+  return { ...buildReport(proxies, issues, entries.length), proxies };
+};
+
+/**
+ * Assemble a validation report
+ * @param {string[]} valid - Usable values
+ * @param {Object[]} issues - Issues found
+ * @param {number} total - Number of entries checked
+ * @returns {Object} - Report
+ */
+const buildReport = (valid, issues, total) => {
+  const count = severity => issues.filter(issue => issue.severity === severity).length;
+
+  return {
+    issues,
+    total,
+    valid: valid.length,
+    errors: count(SEVERITY.ERROR),
+    warnings: count(SEVERITY.WARNING),
+    notices: count(SEVERITY.NOTICE)
+  };
+};
+
+/**
+ * Log a validation report
+ * @param {Object} report - Report from validateKeys or validateProxies
+ * @param {string} label - What was validated (e.g. "private keys")
+ */
+export const logValidationReport = (report, label) => {
+  report.issues.forEach((issue) => {
+    const line = `${issue.location}: ${issue.type} - ${issue.message}`;
+
+    if (issue.severity === SEVERITY.ERROR) {
+      logger.error(line);
+    } else if (issue.severity === SEVERITY.WARNING) {
+      logger.warn(line);
+    } else {
+      logger.debug(line);
+    }
+  });
+
+  const parts = [`${report.valid} valid`];
+  if (report.errors > 0) {
+    parts.push(`${report.errors} invalid`);
+  }
+  if (report.warnings > 0) {
+    parts.push(`${report.warnings} duplicates`);
+  }
+  if (report.notices > 0) {
+    parts.push(`${report.notices} comments`);
+  }
+
+  const message = `Preflight ${label}: ${report.total} entries, ${parts.join(', ')}`;
+  if (report.errors > 0) {
+    logger.warn(message);
+  } else {
+    logger.info(message);
+  }
+};
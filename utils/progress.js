@@ -0,0 +1,180 @@
+import chalk from 'chalk';
+import logger from './logger.js';
+import { STATUS, resolveStatus, isErrorStatus } from './status.js';
+import { sumAmounts } from './amount.js';
+
+/**
+ * How often the terminal status line is redrawn, in ms
+ */
+const REDRAW_INTERVAL = 1000;
+
+/**
+ * Clear the current terminal line and move the cursor to its start
+ */
+const CLEAR_LINE = '\r\x1b[2K';
+
+/**
+ * Format a duration for display (1h 02m, 3m 05s, 12s)
+ * @param {number} ms - Duration in ms
+ * @returns {string} - Formatted duration
+ */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = value => String(value).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}h ${pad(minutes)}m`;
+  }
+
+  if (minutes > 0) {
+    return `${minutes}m ${pad(seconds)}s`;
+  }
+
+  return `${seconds}s`;
+};
+
+/**
+ * Create a progress display for a run. On a terminal a status line is kept
+ * at the bottom of the screen below the log lines, otherwise a plain
+ * progress line is logged every interval.
+ * @param {Object} options - Display options
+ * @param {number} options.total - Number of wallets in the run
+ * @param {boolean} options.enabled - Show progress at all
+ * @param {number} options.interval - Time between plain progress lines in ms
+ * @param {NodeJS.WriteStream} options.stream - Stream the status line is drawn on
+ * @returns {Object} - Display with start(), update(result) and stop()
+ */
+export const createProgressDisplay = ({ total, enabled = true, interval = 10000, stream = process.stdout } = {}) => {
+  const live = enabled && Boolean(stream.isTTY);
+  const totals = {
+    done: 0,
+    resumed: 0,
+    eligible: 0,
+    tokens: '0',
+    errors: 0
+  };
+  let startedAt = null;
+  let timer = null;
+  let originalWrite = null;
+  let write = null;
+
+  /**
+   * Current counters with the rate and the estimated time left. Wallets
+   * reused from a checkpoint do not count towards the rate.
+   * @returns {Object} - Progress snapshot
+   */
+  const snapshot = () => {
+    const elapsedMs = Date.now() - startedAt;
+    const checked = totals.done - totals.resumed;
+    const perMinute = elapsedMs > 0 ? (checked / elapsedMs) * 60000 : 0;
+    const remaining = total - totals.done;
+    const etaMs = perMinute > 0 ? (remaining / perMinute) * 60000 : null;
+
+    return { ...totals, total, elapsedMs, perMinute, etaMs };
+  };
+
+  /**
+   * Build the progress text
+   * @returns {string} - Progress line without a line break
+   */
+  const describe = () => {
+    const { done, eligible, tokens, errors, perMinute, etaMs } = snapshot();
+    const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+    const eta = etaMs !== null ? formatDuration(etaMs) : '-';
+
+    return `Progress: ${done}/${total} (${percent}%) | eligible ${eligible} | tokens ${tokens} | errors ${errors} | ${perMinute.toFixed(1)}/min | ETA ${eta}`;
+  };
+
+  const draw = () => {
+    write(CLEAR_LINE + chalk.cyan(describe()));
+  };
+
+  /**
+   * Start tracking time and drawing the display
+   * @returns {void}
+   */
+  const start = () => {
+    if (!enabled || timer) {
+      return;
+    }
+
+    startedAt = Date.now();
+
+    if (!live) {
+      timer = setInterval(() => logger.info(describe()), interval);
+      timer.unref();
+      return;
+    }
+
+    // Clear the status line before anything else is written to the stream
+    // and draw it again below the new output
+    originalWrite = stream.write;
+    write = originalWrite.bind(stream);
+    stream.write = (chunk, ...args) => {
+      write(CLEAR_LINE);
+      const result = write(chunk, ...args);
+      draw();
+      return result;
+    };
+
+    draw();
+    timer = setInterval(draw, REDRAW_INTERVAL);
+    timer.unref();
+  };
+
+  /**
+   * Count a finished wallet
+   * @param {Object} result - Wallet result
+   * @returns {void}
+   */
+  const update = (result) => {
+    const status = resolveStatus(result);
+
+    totals.done++;
+    if (result.resumed) {
+      totals.resumed++;
+    }
+    if (status === STATUS.ELIGIBLE) {
+      totals.eligible++;
+      totals.tokens = sumAmounts([totals.tokens, result.amount]);
+    }
+    if (status === null || isErrorStatus(status)) {
+      totals.errors++;
+    }
+
+    if (live && timer) {
+      draw();
+    }
+  };
+
+  /**
+   * Stop drawing and give the stream back
+   * @returns {void}
+   */
+  const stop = () => {
+    if (!timer) {
+      return;
+    }
+
+    clearInterval(timer);
+    timer = null;
+
+    if (live) {
+      stream.write = originalWrite;
+      write(CLEAR_LINE);
+    } else {
+      logger.info(describe());
+    }
+  };
+
+  return {
+    start,
+    update,
+    stop,
+    snapshot,
+    live
+  };
+};
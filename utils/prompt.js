@@ -0,0 +1,67 @@
+import readline from 'readline';
+import { Writable } from 'stream';
+
+/**
+ * Ask for a secret on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - Entered value
+ */
+export const promptHidden = (question) => {
+  return new Promise((resolve) => {
+    // Readline echoes through this stream, muted once the prompt is printed
+    let muted = false;
+    const output = new Writable({
+      write: (chunk, encoding, callback) => {
+        if (!muted) {
+          process.stdout.write(chunk, encoding);
+        }
+        callback();
+      }
+    });
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true
+    });
+
+    rl.question(question, (answer) => {
+      process.stdout.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+    muted = true;
+  });
+};
+
+/**
+ * Get a password from an environment variable or an interactive prompt
+ * @param {Object} options - Options
+ * @param {string} options.envVar - Environment variable to read first
+ * @param {string} options.question - Prompt text
+ * @param {boolean} options.confirm - Ask twice and compare (for new passwords)
+ * @returns {Promise<string>} - Password
+ */
+export const resolvePassword = async ({ envVar, question = 'Password: ', confirm = false }) => {
+  if (envVar && process.env[envVar]) {
+    return process.env[envVar];
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error(`No password available, set ${envVar} when running without a terminal`);
+  }
+
+  const password = await promptHidden(question);
+  if (!password) {
+    throw new Error('Password must not be empty');
+  }
+
+  if (confirm) {
+    const repeated = await promptHidden('Repeat password: ');
+    if (repeated !== password) {
+      throw new Error('Passwords do not match');
+    }
+  }
+
+  return password;
+};
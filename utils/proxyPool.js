@@ -0,0 +1,177 @@
+import axios from 'axios';
+import logger from './logger.js';
+import { createProxyAgent, getProxyLabel } from './api.js';
+
+/**
+ * Create a pool that hands out proxies and tracks their health. Proxies
+ * failing benchAfter times in a row are benched for benchDuration and
+ * skipped until then, unless every proxy is benched.
+ * @param {Object[]} proxies - Normalized proxies (see parseProxy)
+ * @param {Object} options - Pool options
+ * @param {number} options.benchAfter - Consecutive failures before a proxy is benched
+ * @param {number} options.benchDuration - How long a proxy stays benched, in ms
+ * @returns {Object} - Proxy pool
+ */
+export const createProxyPool = (proxies, { benchAfter = 3, benchDuration = 60000 } = {}) => {
+  const entries = proxies.map(proxy => ({
+    proxy,
+    label: getProxyLabel(proxy),
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    totalLatencyMs: 0,
+    benchedUntil: 0,
+    benched: 0
+  }));
+  const byProxy = new Map(entries.map(entry => [entry.proxy, entry]));
+
+  /**
+   * Pick a proxy, starting at the preferred position and skipping benched
+   * and excluded proxies
+   * @param {Object} options - Pick options
+   * @param {number} options.preferred - Position to start from (e.g. the wallet index)
+   * @param {Object[]} options.exclude - Proxies not to use (e.g. already tried)
+   * @returns {Object|null} - Proxy or null when the pool is empty
+   */
+  const pick = ({ preferred = 0, exclude = [] } = {}) => {
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const ordered = entries.map((_, offset) => entries[(preferred + offset) % entries.length]);
+    const untried = ordered.filter(entry => !exclude.includes(entry.proxy));
+    const candidates = untried.length > 0 ? untried : ordered;
+
+    const healthy = candidates.find(entry => entry.benchedUntil <= now);
+    if (healthy) {
+      return healthy.proxy;
+    }
+
+    // Everything is benched, use the proxy that comes back first
+    const soonest = candidates.reduce((best, entry) => (entry.benchedUntil < best.benchedUntil ? entry : best));
+    logger.debug(`All proxies are benched, using ${soonest.label}`);
+    return soonest.proxy;
+  };
+
+  /**
+   * Record a request that got an answer through the proxy
+   * @param {Object} proxy - Proxy from the pool
+   * @param {number} latencyMs - Request duration
+   * @returns {void}
+   */
+  const reportSuccess = (proxy, latencyMs) => {
+    const entry = byProxy.get(proxy);
+    if (!entry) {
+      return;
+    }
+
+    entry.requests++;
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.totalLatencyMs += latencyMs;
+  };
+
+  /**
+   * Record a request that failed because of the proxy (no answer, rate limit)
+   * @param {Object} proxy - Proxy from the pool
+   * @param {number} latencyMs - Request duration
+   * @returns {void}
+   */
+  const reportFailure = (proxy, latencyMs) => {
+    const entry = byProxy.get(proxy);
+    if (!entry) {
+      return;
+    }
+
+    entry.requests++;
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.totalLatencyMs += latencyMs;
+
+    if (entry.consecutiveFailures >= benchAfter && entries.length > 1) {
+      entry.benchedUntil = Date.now() + benchDuration;
+      entry.benched++;
+      entry.consecutiveFailures = 0;
+      logger.warn(`Proxy ${entry.label} failed ${benchAfter} times in a row, benched for ${benchDuration / 1000}s`);
+    }
+  };
+
+  /**
+   * Remove a proxy from the pool
+   * @param {Object} proxy - Proxy from the pool
+   * @returns {void}
+   */
+  const remove = (proxy) => {
+    const index = entries.findIndex(entry => entry.proxy === proxy);
+    if (index !== -1) {
+      entries.splice(index, 1);
+      byProxy.delete(proxy);
+    }
+  };
+
+  /**
+   * Per-proxy statistics for the run summary
+   * @returns {Object[]} - One entry per proxy
+   */
+  const getStats = () => entries.map(entry => ({
+    proxy: entry.label,
+    requests: entry.requests,
+    successes: entry.successes,
+    failures: entry.failures,
+    avgLatencyMs: entry.requests > 0 ? Math.round(entry.totalLatencyMs / entry.requests) : null,
+    benched: entry.benched
+  }));
+
+  return {
+    pick,
+    reportSuccess,
+    reportFailure,
+    remove,
+    getStats,
+    get proxies() {
+      return entries.map(entry => entry.proxy);
+    },
+    get size() {
+      return entries.length;
+    }
+  };
+};
+
+/**
+ * Send a request to a URL through every proxy of the pool and remove the
+ * proxies that cannot reach it
+ * @param {Object} pool - Proxy pool
+ * @param {Object} options - Check options
+ * @param {string} options.url - URL to request
+ * @param {number} options.timeout - Request timeout in ms
+ * @returns {Promise<number>} - Number of proxies removed
+ */
+export const checkProxyConnectivity = async (pool, { url, timeout }) => {
+  const { proxies } = pool;
+  logger.info(`Checking ${proxies.length} proxies against ${url}`);
+
+  const outcomes = await Promise.all(proxies.map(async (proxy) => {
+    try {
+      const agent = createProxyAgent(proxy);
+      // Any HTTP answer means the proxy works
+      await axios.get(url, {
+        httpAgent: agent,
+        httpsAgent: agent,
+        proxy: false,
+        timeout,
+        validateStatus: () => true
+      });
+      return true;
+    } catch (error) {
+      logger.warn(`Proxy ${getProxyLabel(proxy)} failed the connectivity check: ${error.message}`);
+      pool.remove(proxy);
+      return false;
+    }
+  }));
+
+  const removed = outcomes.filter(ok => !ok).length;
+  logger.info(`Proxy check: ${proxies.length - removed} of ${proxies.length} proxies reachable`);
+  return removed;
+};
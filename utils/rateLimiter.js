@@ -0,0 +1,84 @@
+/**
+ * Create a token bucket
+ * @param {number} capacity - Maximum number of stored tokens
+ * @param {number} perMs - Tokens added per millisecond
+ * @returns {Object} - Bucket with take() and waitTime()
+ */
+const createBucket = (capacity, perMs) => {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - updatedAt) * perMs);
+    updatedAt = now;
+  };
+
+  return {
+    /**
+     * Time until a token is available
+     * @returns {number} - Delay in ms, 0 when a token can be taken now
+     */
+    waitTime: () => {
+      refill();
+      return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / perMs);
+    },
+    /**
+     * Use one token
+     */
+    take: () => {
+      tokens -= 1;
+    }
+  };
+};
+
+/**
+ * Create a rate limiter shared by every request of a run. Requests are
+ * released in the order they asked for a slot, never faster than the
+ * configured rates. A rate of 0 means no limit.
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerSecond - Sustained requests per second
+ * @param {number} options.requestsPerMinute - Sustained requests per minute
+ * @param {number} options.burst - Requests allowed back to back before the rates apply
+ * @returns {Object} - Rate limiter
+ */
+export const createRateLimiter = ({ requestsPerSecond = 0, requestsPerMinute = 0, burst = 1 } = {}) => {
+  const capacity = Math.max(1, burst);
+  const buckets = [];
+
+  if (requestsPerSecond > 0) {
+    buckets.push(createBucket(capacity, requestsPerSecond / 1000));
+  }
+
+  if (requestsPerMinute > 0) {
+    buckets.push(createBucket(capacity, requestsPerMinute / 60000));
+  }
+
+  // Hand out slots one at a time so waiting workers keep their order
+  let queue = Promise.resolve();
+
+  /**
+   * Wait for a request slot
+   * @returns {Promise<void>}
+   */
+  const acquire = () => {
+    const slot = queue.then(async () => {
+      for (;;) {
+        const delay = Math.max(0, ...buckets.map(bucket => bucket.waitTime()));
+        if (delay === 0) {
+          buckets.forEach(bucket => bucket.take());
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    });
+
+    queue = slot;
+    return slot;
+  };
+
+  return {
+    acquire,
+    enabled: buckets.length > 0
+  };
+};
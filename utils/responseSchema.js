@@ -0,0 +1,78 @@
+import { normalizeAmount } from './amount.js';
+
+/**
+ * Longest part of a value quoted in a validation message
+ */
+const MAX_QUOTED = 60;
+
+/**
+ * Describe a value for validation messages
+ * @param {any} value - Value
+ * @returns {string} - Printable value
+ */
+const describe = (value) => {
+  const text = value === undefined ? 'nothing' : JSON.stringify(value);
+  return text.length > MAX_QUOTED ? `${text.slice(0, MAX_QUOTED)}...` : text;
+};
+
+/**
+ * Check a value against a single type of a response schema
+ * @param {any} value - Value
+ * @param {string} type - object, array, string, boolean, number, amount or null
+ * @returns {boolean} - True when the value has the type
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    // Non-negative number or decimal string
+    case 'amount': return normalizeAmount(value) !== null;
+    case 'null': return value === null;
+    default: return false;
+  }
+};
+
+/**
+ * Validate a parsed API response body. Schemas have a `type` (or a list
+ * of types), objects may list `required` keys and describe `properties`,
+ * arrays describe their `items`. Keys not in `properties` are allowed.
+ * @param {any} value - Response body
+ * @param {Object} schema - Response schema
+ * @param {string} name - Name of the value in messages
+ * @returns {string|null} - First problem found, null when the body matches
+ */
+export const validateResponse = (value, schema, name = 'body') => {
+  const types = [].concat(schema.type);
+
+  if (!types.some(type => matchesType(value, type))) {
+    return `${name}: expected ${types.join(' or ')}, got ${describe(value)}`;
+  }
+
+  if (matchesType(value, 'object')) {
+    const missing = (schema.required ?? []).find(key => value[key] === undefined);
+    if (missing) {
+      return `${name}.${missing}: missing`;
+    }
+
+    for (const [key, property] of Object.entries(schema.properties ?? {})) {
+      const problem = value[key] === undefined ? null : validateResponse(value[key], property, `${name}.${key}`);
+      if (problem) {
+        return problem;
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (const [index, item] of value.entries()) {
+      const problem = validateResponse(item, schema.items, `${name}[${index}]`);
+      if (problem) {
+        return problem;
+      }
+    }
+  }
+
+  return null;
+};
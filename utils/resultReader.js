@@ -0,0 +1,185 @@
+import fs from 'fs-extra';
+import path from 'path';
+import bs58 from 'bs58';
+import { STATUS, statusFileName } from './status.js';
+import { toAmountValue } from './amount.js';
+import { LATEST_POINTER } from './resultWriter.js';
+
+/**
+ * Files looked up, in order, when a run folder is given
+ */
+const RUN_FILES = ['results.jsonl', 'results.json', 'results.csv'];
+
+/**
+ * Split a CSV line into cells, honoring double-quoted cells
+ * @param {string} line - CSV line
+ * @returns {string[]} - Cells
+ */
+const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell);
+  return cells;
+};
+
+/**
+ * Convert CSV cells back into typed record values
+ * @param {Object} row - Row keyed by header
+ * @returns {Object} - Record
+ */
+const fromCsvRow = (row) => ({
+  ...row,
+  eligible: row.eligible === 'true',
+  amount: toAmountValue(row.amount),
+  error: row.error === '' ? null : row.error,
+  attempts: row.attempts === '' ? null : Number(row.attempts),
+  durationMs: row.durationMs === '' ? null : Number(row.durationMs)
+});
+
+/**
+ * Check whether a string is a wallet address (32 bytes base58)
+ * @param {string} value - Candidate
+ * @returns {boolean} - True for public keys
+ */
+const isAddress = (value) => {
+  try {
+    return bs58.decode(value).length === 32;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Text files written per status, keyed by file name
+ */
+const STATUS_FILES = Object.fromEntries(Object.values(STATUS).map(status => [statusFileName(status), status]));
+
+/**
+ * Parse a line of a per-status text file ([pk:]address[:amount])
+ * @param {string} line - Line
+ * @param {string|null} status - Status the file stands for, null if unknown
+ * @returns {Object|null} - Record or null if no address was found
+ */
+const fromTextLine = (line, status) => {
+  const parts = line.split(':');
+  const publicKey = parts.find(isAddress);
+
+  if (!publicKey) {
+    return null;
+  }
+
+  const eligible = status === STATUS.ELIGIBLE;
+  return {
+    publicKey,
+    status,
+    eligible,
+    amount: eligible ? toAmountValue(parts[parts.length - 1]) : 0,
+    error: null
+  };
+};
+
+/**
+ * Read records from a single result file
+ * @param {string} filePath - results.jsonl, results.json, results.csv or a .txt file
+ * @returns {Promise<Object[]>} - Records
+ */
+const readResultFile = async (filePath) => {
+  const content = await fs.readFile(filePath, 'utf8');
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  const extension = path.extname(filePath).toLowerCase();
+
+  switch (extension) {
+    case '.jsonl':
+      return lines.map(line => JSON.parse(line));
+    case '.json': {
+      const parsed = JSON.parse(content);
+      return Array.isArray(parsed) ? parsed : parsed.results || [];
+    }
+    case '.csv': {
+      const [header, ...rows] = lines.map(parseCsvLine);
+      return rows.map(cells => fromCsvRow(Object.fromEntries(header.map((name, index) => [name, cells[index] ?? '']))));
+    }
+    case '.txt': {
+      const status = STATUS_FILES[path.basename(filePath).toLowerCase()] ?? null;
+      return lines.map(line => fromTextLine(line.trim(), status)).filter(Boolean);
+    }
+    default:
+      throw new Error(`Unsupported result file: ${filePath}`);
+  }
+};
+
+/**
+ * Follow result/latest to the run folder it points at. The symlink is
+ * used as is, without one the folder name is read from latest.txt.
+ * @param {string} target - Run folder, result file or latest pointer
+ * @returns {Promise<string>} - Path to read results from
+ */
+export const resolveResultTarget = async (target) => {
+  const pointerFile = `${target}.txt`;
+
+  if (path.basename(target) !== LATEST_POINTER || await fs.pathExists(target) || !await fs.pathExists(pointerFile)) {
+    return target;
+  }
+
+  const runName = (await fs.readFile(pointerFile, 'utf8')).trim();
+  return path.join(path.dirname(target), runName);
+};
+
+/**
+ * Read the records of a previous run from a run folder or a result file
+ * @param {string} pathOrPointer - Run folder (e.g. result/latest) or result file
+ * @returns {Promise<Object[]>} - Records with at least publicKey and status
+ */
+export const readResultRecords = async (pathOrPointer) => {
+  const target = await resolveResultTarget(pathOrPointer);
+
+  if (!await fs.pathExists(target)) {
+    throw new Error(`Result not found: ${target}`);
+  }
+
+  if (!(await fs.stat(target)).isDirectory()) {
+    return readResultFile(target);
+  }
+
+  for (const fileName of RUN_FILES) {
+    const filePath = path.join(target, fileName);
+    if (await fs.pathExists(filePath)) {
+      return readResultFile(filePath);
+    }
+  }
+
+  // Fall back to the text files
+  const records = [];
+  for (const fileName of Object.keys(STATUS_FILES)) {
+    const filePath = path.join(target, fileName);
+    if (await fs.pathExists(filePath)) {
+      records.push(...await readResultFile(filePath));
+    }
+  }
+
+  return records;
+};
@@ -0,0 +1,499 @@
+import fs from 'fs-extra';
+import path from 'path';
+import moment from 'moment';
+import logger from './logger.js';
+import { encryptText, decryptText } from './crypto.js';
+import { STATUS, ERROR_STATUSES, resolveStatus, isErrorStatus, statusFileName } from './status.js';
+import { sumAmounts, toAmountValue } from './amount.js';
+
+/**
+ * Default base folder for result runs
+ */
+export const DEFAULT_RESULT_DIR = 'result';
+
+/**
+ * Name of the pointer to the most recent run inside the base folder
+ */
+export const LATEST_POINTER = 'latest';
+
+/**
+ * Supported output formats
+ */
+export const OUTPUT_FORMATS = ['txt', 'jsonl', 'json', 'csv'];
+
+/**
+ * Name of the encrypted private key file inside a run folder
+ */
+export const ENCRYPTED_KEYS_FILE = 'private-keys.enc.json';
+
+/**
+ * Name of the raw request/response log inside a run folder
+ */
+export const RAW_RESPONSES_FILE = 'raw.jsonl';
+
+/**
+ * Column order for structured outputs (privateKey only when opted in)
+ */
+export const RECORD_FIELDS = [
+  'publicKey',
+  'status',
+  'eligible',
+  'amount',
+  'error',
+  'attempts',
+  'attemptHistory',
+  'checks',
+  'balances',
+  'durationMs',
+  'proxy',
+  'checkedAt',
+  'resumed',
+  'privateKey'
+];
+
+/**
+ * Fields holding nested data, left out of the CSV output
+ */
+const NESTED_FIELDS = ['attemptHistory', 'checks', 'balances'];
+
+/**
+ * Per-check fields added to the CSV output when a run has several checks
+ */
+const CHECK_COLUMNS = ['status', 'amount'];
+
+/**
+ * Get the status of a check result
+ * @param {Object} result - Check result
+ * @returns {string} - One of STATUS, API_ERROR when it cannot be determined
+ */
+export const getResultStatus = (result) => resolveStatus(result) || STATUS.API_ERROR;
+
+/**
+ * Convert a check result into a flat record with a fixed field order
+ * @param {Object} result - Check result
+ * @param {string|null} privateKey - Private key to include, omitted when null
+ * @returns {Object} - Output record
+ */
+export const toRecord = (result, privateKey = null) => {
+  const record = {};
+  
+  RECORD_FIELDS.forEach((field) => {
+    if (field === 'status') {
+      record.status = getResultStatus(result);
+    } else if (field === 'privateKey') {
+      if (privateKey) {
+        record.privateKey = privateKey;
+      }
+    } else if (field === 'resumed') {
+      // Only present on results reused from the checkpoint
+      if (result.resumed !== undefined) {
+        record.resumed = result.resumed;
+      }
+    } else if (field === 'attemptHistory') {
+      // Not stored in the checkpoint, so missing on resumed results
+      if (result.attemptHistory?.length) {
+        record.attemptHistory = result.attemptHistory;
+      }
+    } else if (field === 'checks') {
+      // Missing on results from before checks were configurable
+      if (result.checks) {
+        record.checks = result.checks;
+      }
+    } else if (field === 'balances') {
+      // Only present when balances are enabled, null when the RPC failed
+      if (result.balances !== undefined) {
+        record.balances = result.balances;
+      }
+    } else {
+      record[field] = result[field] ?? null;
+    }
+  });
+  
+  return record;
+};
+
+/**
+ * Build the run summary logged at the end of a run
+ * @param {Object[]} results - All results of the run
+ * @param {Object} extra - Additional fields (startedAt, reused, ...)
+ * @returns {Object} - Summary object
+ */
+export const buildSummary = (results, extra = {}) => {
+  const byStatus = Object.fromEntries(Object.values(STATUS).map(status => [status, 0]));
+  results.forEach((r) => {
+    byStatus[getResultStatus(r)]++;
+  });
+  // Exact totals, a decimal string when a number would round them
+  const totalAmount = toAmountValue(sumAmounts(results.map(r => r.amount)));
+  const finishedAt = new Date();
+  
+  // Counts per check, in the order the checks ran
+  const byCheck = {};
+  results.forEach((r) => {
+    Object.entries(r.checks ?? {}).forEach(([name, check]) => {
+      byCheck[name] ??= { eligible: 0, notEligible: 0, errors: 0, totalTokens: 0 };
+      if (check.status === STATUS.ELIGIBLE) {
+        byCheck[name].eligible++;
+        byCheck[name].totalTokens = toAmountValue(sumAmounts([byCheck[name].totalTokens, check.amount]));
+      } else if (isErrorStatus(check.status)) {
+        byCheck[name].errors++;
+      } else {
+        byCheck[name].notEligible++;
+      }
+    });
+  });
+  
+  // Balance totals per column, only for runs that fetched balances
+  const totalBalances = {};
+  results.forEach((r) => {
+    Object.entries(r.balances ?? {}).forEach(([column, amount]) => {
+      totalBalances[column] = toAmountValue(sumAmounts([totalBalances[column] ?? 0, amount]));
+    });
+  });
+  
+  const summary = {
+    totalWallets: results.length,
+    eligible: byStatus[STATUS.ELIGIBLE],
+    notEligible: byStatus[STATUS.NOT_ELIGIBLE],
+    errors: ERROR_STATUSES.reduce((sum, status) => sum + byStatus[status], 0),
+    byStatus,
+    byCheck,
+    totalTokens: totalAmount,
+    ...(results.some(r => r.balances !== undefined) ? { totalBalances } : {}),
+    ...extra,
+    finishedAt: finishedAt.toISOString()
+  };
+  
+  if (extra.startedAt) {
+    summary.startedAt = new Date(extra.startedAt).toISOString();
+    summary.durationMs = finishedAt - new Date(extra.startedAt);
+  }
+  
+  return summary;
+};
+
+/**
+ * Escape a value for a CSV cell
+ * @param {any} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Pick a run folder that does not exist yet
+ * @param {string} baseDir - Base result folder
+ * @param {Date} startedAt - Run start time
+ * @returns {Promise<string>} - Run folder name (relative to baseDir)
+ */
+const allocateRunName = async (baseDir, startedAt) => {
+  const stamp = moment(startedAt).format('YYYY-MM-DD_HH-mm-ss');
+  let name = stamp;
+  let suffix = 1;
+
+  // Never reuse the folder of an earlier run started in the same second
+  while (await fs.pathExists(path.join(baseDir, name))) {
+    name = `${stamp}_${suffix++}`;
+  }
+
+  return name;
+};
+
+/**
+ * Point result/latest at the given run folder. Uses a symlink where
+ * possible and falls back to a plain text file holding the folder name.
+ * @param {string} baseDir - Base result folder
+ * @param {string} runName - Run folder name
+ * @returns {Promise<void>}
+ */
+const updateLatestPointer = async (baseDir, runName) => {
+  const pointerPath = path.join(baseDir, LATEST_POINTER);
+  const tempPath = `${pointerPath}.${process.pid}.tmp`;
+
+  try {
+    await fs.remove(tempPath);
+    await fs.symlink(runName, tempPath, 'dir');
+    // rename() replaces the old pointer atomically
+    await fs.rename(tempPath, pointerPath);
+  } catch (error) {
+    logger.debug(`Could not create ${pointerPath} symlink (${error.message}), writing ${LATEST_POINTER}.txt instead`);
+    await fs.remove(tempPath);
+    await fs.writeFile(`${pointerPath}.txt`, `${runName}\n`);
+  }
+};
+
+/**
+ * Format a result as a line for the per-status text files
+ * @param {Object} result - Check result
+ * @param {string|null} privateKey - Private key to prepend, omitted when null
+ * @returns {string} - Formatted line
+ */
+const formatTextLine = (result, privateKey = null) => {
+  const parts = privateKey ? [privateKey, result.publicKey] : [result.publicKey];
+  
+  if (result.eligible) {
+    parts.push(result.amount);
+  }
+  
+  return parts.join(':');
+};
+
+/**
+ * Create a result writer that appends every result to disk as soon as
+ * it is available. Each run writes into its own timestamped folder so
+ * earlier runs are never overwritten.
+ * @param {Object} options - Writer options
+ * @param {string} options.baseDir - Base result folder
+ * @param {Date} options.startedAt - Run start time used for the folder name
+ * @param {string[]} options.formats - Output formats (txt, jsonl, json, csv)
+ * @param {boolean} options.includePrivateKeys - Keep private keys in the output
+ * @param {string|null} options.keyPassword - Write the private keys into an
+ *   encrypted file with this password instead of the plaintext outputs
+ * @param {string[]} options.checks - Names of the checks of the run, with
+ *   several checks the CSV gets <check>.status and <check>.amount columns
+ * @param {string[]} options.balances - Balance columns of the run (see
+ *   balanceColumns), the CSV gets a balance.<column> column for each
+ * @param {boolean} options.captureRaw - Create raw.jsonl for writeRaw()
+ * @returns {Object} - Result writer
+ */
+export const createResultWriter = ({
+  baseDir = DEFAULT_RESULT_DIR,
+  startedAt = new Date(),
+  formats = ['txt'],
+  includePrivateKeys = false,
+  keyPassword = null,
+  checks = [],
+  balances = [],
+  captureRaw = false
+} = {}) => {
+  const unknownFormats = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+  if (unknownFormats.length > 0) {
+    throw new Error(`Unknown output format: ${unknownFormats.join(', ')} (supported: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  
+  const enabled = new Set(formats);
+  const plaintextKeys = includePrivateKeys && !keyPassword;
+  const encryptKeys = includePrivateKeys && Boolean(keyPassword);
+  const columns = RECORD_FIELDS.filter(field => !NESTED_FIELDS.includes(field) && (plaintextKeys || field !== 'privateKey'));
+  const checkColumns = checks.length > 1
+    ? checks.flatMap(name => CHECK_COLUMNS.map(field => ({ name, field })))
+    : [];
+  const extraHeader = [
+    ...checkColumns.map(({ name, field }) => `${name}.${field}`),
+    ...balances.map(column => `balance.${column}`)
+  ];
+  const counts = { eligible: 0, notEligible: 0, errors: 0 };
+  // Only the JSON document and the encrypted key file need data in memory until close
+  const jsonRecords = [];
+  const encryptedEntries = [];
+  let runDir = null;
+  let opened = null;
+
+  // Serialize appends so lines from concurrent workers never interleave
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Create the run folder, empty output files and the latest pointer
+   * @returns {Promise<string>} - Path of the run folder
+   */
+  const open = () => {
+    if (!opened) {
+      opened = (async () => {
+        await fs.ensureDir(baseDir);
+        const runName = await allocateRunName(baseDir, startedAt);
+        runDir = path.join(baseDir, runName);
+
+        await fs.ensureDir(runDir);
+        
+        if (enabled.has('txt')) {
+          await fs.writeFile(path.join(runDir, 'eligible.txt'), '');
+          await fs.writeFile(path.join(runDir, 'noteligible.txt'), '');
+        }
+        
+        if (enabled.has('jsonl')) {
+          await fs.writeFile(path.join(runDir, 'results.jsonl'), '');
+        }
+        
+        if (captureRaw) {
+          await fs.writeFile(path.join(runDir, RAW_RESPONSES_FILE), '');
+        }
+        
+        if (enabled.has('csv')) {
+          const header = [...columns, ...extraHeader];
+          await fs.writeFile(path.join(runDir, 'results.csv'), `${header.map(toCsvCell).join(',')}\n`);
+        }
+        
+        await updateLatestPointer(baseDir, runName);
+
+        logger.info(`Writing results to ${runDir}`);
+        return runDir;
+      })();
+    }
+
+    return opened;
+  };
+
+  /**
+   * Append a single result to the matching output file
+   * @param {Object} result - Check result
+   * @param {string|null} privateKey - Private key of the wallet, only
+   *   written when includePrivateKeys is enabled
+   * @returns {Promise<void>}
+   */
+  const write = (result, privateKey = null) => {
+    writeQueue = writeQueue
+      .then(async () => {
+        await open();
+        const outputKey = plaintextKeys ? privateKey : null;
+        const record = toRecord(result, outputKey);
+
+        if (encryptKeys && privateKey) {
+          encryptedEntries.push({
+            publicKey: result.publicKey,
+            privateKey,
+            status: record.status,
+            amount: record.amount
+          });
+        }
+
+        // One append call per complete line keeps each record intact on crash.
+        // Wallets that were never checked go to a file named after their status
+        // (api_error.txt, network_error.txt, ...) so they can be re-checked
+        if (enabled.has('txt')) {
+          const fileName = statusFileName(record.status);
+          await fs.appendFile(path.join(runDir, fileName), `${formatTextLine(result, outputKey)}\n`);
+        }
+
+        if (enabled.has('jsonl')) {
+          await fs.appendFile(path.join(runDir, 'results.jsonl'), `${JSON.stringify(record)}\n`);
+        }
+
+        if (enabled.has('csv')) {
+          const row = [
+            ...columns.map(field => record[field]),
+            ...checkColumns.map(({ name, field }) => record.checks?.[name]?.[field]),
+            ...balances.map(column => record.balances?.[column])
+          ].map(toCsvCell).join(',');
+          await fs.appendFile(path.join(runDir, 'results.csv'), `${row}\n`);
+        }
+
+        if (enabled.has('json')) {
+          jsonRecords.push(record);
+        }
+
+        if (record.status === STATUS.ELIGIBLE) {
+          counts.eligible++;
+        } else if (isErrorStatus(record.status)) {
+          counts.errors++;
+        } else {
+          counts.notEligible++;
+        }
+      })
+      .catch((error) => {
+        logger.error(`Failed to write result: ${error.message}`, result.publicKey);
+      });
+
+    return writeQueue;
+  };
+
+  /**
+   * Append a request and its raw response to raw.jsonl
+   * @param {Object} exchange - Response event of the checker
+   * @returns {Promise<void>}
+   */
+  const writeRaw = (exchange) => {
+    writeQueue = writeQueue
+      .then(async () => {
+        await open();
+        await fs.appendFile(path.join(runDir, RAW_RESPONSES_FILE), `${JSON.stringify(exchange)}\n`);
+      })
+      .catch((error) => {
+        logger.error(`Failed to write raw response: ${error.message}`, exchange.publicKey);
+      });
+
+    return writeQueue;
+  };
+
+  /**
+   * Write a file via a temporary file so readers never see half of it
+   * @param {string} fileName - File name inside the run folder
+   * @param {Object} data - Data to serialize as JSON
+   * @returns {Promise<void>}
+   */
+  const writeJsonFile = async (fileName, data) => {
+    const filePath = path.join(runDir, fileName);
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+    await fs.rename(`${filePath}.tmp`, filePath);
+  };
+
+  /**
+   * Wait for pending writes, write the run summary and log where the
+   * results were saved
+   * @param {Object} summary - Run summary (see buildSummary)
+   * @returns {Promise<Object>} - Run folder and per-file counts
+   */
+  const close = async (summary = null) => {
+    await open();
+    await writeQueue;
+
+    if (summary) {
+      await writeJsonFile('summary.json', summary);
+    }
+
+    if (enabled.has('json')) {
+      await writeJsonFile('results.json', { summary, results: jsonRecords });
+    }
+
+    if (encryptKeys) {
+      const payload = await encryptText(JSON.stringify(encryptedEntries, null, 2), keyPassword);
+      await writeJsonFile(ENCRYPTED_KEYS_FILE, payload);
+      logger.info(`${encryptedEntries.length} private keys saved encrypted to ${path.join(runDir, ENCRYPTED_KEYS_FILE)}`);
+    }
+
+    if (counts.eligible > 0) {
+      logger.success(`${counts.eligible} eligible wallets saved to ${runDir}`);
+    } else {
+      logger.info('No eligible wallets found');
+    }
+
+    if (counts.notEligible > 0) {
+      logger.info(`${counts.notEligible} non-eligible wallets saved to ${runDir}`);
+    } else {
+      logger.info('No non-eligible wallets found');
+    }
+
+    if (counts.errors > 0) {
+      logger.warn(`${counts.errors} unchecked wallets saved to ${runDir}`);
+    }
+
+    return { runDir, ...counts };
+  };
+
+  return {
+    formats: [...enabled],
+    open,
+    write,
+    writeRaw,
+    close,
+    get runDir() {
+      return runDir;
+    }
+  };
+};
+
+/**
+ * Read a private key file written with encryption enabled
+ * @param {string} filePath - Path to the encrypted key file
+ * @param {string} password - Password used for the run
+ * @returns {Promise<Object[]>} - Entries with publicKey, privateKey, status and amount
+ */
+export const readEncryptedKeys = async (filePath, password) => {
+  const payload = await fs.readJson(filePath);
+  return JSON.parse(await decryptText(payload, password));
+};
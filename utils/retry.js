@@ -0,0 +1,123 @@
+/**
+ * Default retry settings (see retryOptions in config.json)
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  minTimeout: 1000,
+  maxTimeout: 5000,
+  maxRetryAfter: 60000
+};
+
+/**
+ * HTTP statuses worth retrying besides 5xx
+ */
+export const RETRYABLE_HTTP_STATUSES = [408, 429];
+
+/**
+ * Check whether an HTTP status is worth retrying
+ * @param {number} httpStatus - HTTP status code
+ * @returns {boolean} - True for 408, 429 and 5xx
+ */
+export const isRetryableHttpStatus = (httpStatus) => {
+  return RETRYABLE_HTTP_STATUSES.includes(httpStatus) || (httpStatus >= 500 && httpStatus <= 599);
+};
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|number|undefined} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Delay in ms or null when absent or invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Full-jitter exponential backoff: a random delay between 0 and
+ * min(maxTimeout, minTimeout * 2^attempt)
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} options - Retry options
+ * @returns {number} - Delay in ms
+ */
+export const computeBackoff = (attempt, { minTimeout, maxTimeout }) => {
+  const ceiling = Math.min(maxTimeout, minTimeout * Math.pow(2, attempt));
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Default retry classification: errors flagged as retryable by the caller
+ * @param {Error} error - Error thrown by the operation
+ * @returns {boolean} - True if the operation should be attempted again
+ */
+export const isRetryableError = error => error.retryable === true;
+
+/**
+ * Run an operation and retry it according to a shared policy. Every
+ * attempt is recorded so callers can report what happened.
+ * @param {Function} operation - Async function receiving the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.minTimeout - Base backoff delay in ms
+ * @param {number} options.maxTimeout - Maximum backoff delay in ms
+ * @param {number} options.maxRetryAfter - Upper limit for Retry-After delays in ms
+ * @param {Function} options.shouldRetry - Decides whether an error is retryable
+ * @param {Function} options.onRetry - Called with { attempt, retries, delayMs, error } before waiting
+ * @returns {Promise<Object>} - { value, attempts, history }; on failure the
+ *   last error is thrown with attempts and history attached
+ */
+export const retry = async (operation, options = {}) => {
+  const {
+    retries,
+    minTimeout,
+    maxTimeout,
+    maxRetryAfter,
+    shouldRetry = isRetryableError,
+    onRetry = () => {}
+  } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const history = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+
+    try {
+      const value = await operation(attempt);
+      history.push({ attempt, outcome: 'ok', durationMs: Date.now() - startedAt });
+      return { value, attempts: attempt, history };
+    } catch (error) {
+      const entry = {
+        attempt,
+        outcome: 'error',
+        durationMs: Date.now() - startedAt,
+        httpStatus: error.httpStatus ?? null,
+        error: error.message
+      };
+      history.push(entry);
+
+      if (attempt > retries || !shouldRetry(error)) {
+        error.attempts = attempt;
+        error.history = history;
+        throw error;
+      }
+
+      // The server knows best when it can take the next request
+      const retryAfter = error.retryAfterMs ?? null;
+      const delayMs = retryAfter !== null
+        ? Math.min(retryAfter, maxRetryAfter)
+        : computeBackoff(attempt, { minTimeout, maxTimeout });
+      entry.delayMs = delayMs;
+
+      onRetry({ attempt, retries, delayMs, error });
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+};
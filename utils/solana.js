@@ -1,20 +1,149 @@
 import { Keypair } from '@solana/web3.js';
 import nacl from 'tweetnacl';
 import bs58 from 'bs58';
+import * as bip39 from 'bip39';
+import { derivePath } from 'ed25519-hd-key';
 import logger from './logger.js';
+import { retry, DEFAULT_RETRY_OPTIONS } from './retry.js';
+
+/**
+ * Supported private key input formats
+ */
+export const KEY_FORMATS = {
+  BASE58: 'base58',
+  JSON: 'json',
+  HEX: 'hex',
+  MNEMONIC: 'mnemonic'
+};
+
+/**
+ * Detect the format of a private key line
+ * @param {string} input - Raw key input
+ * @returns {string|null} - One of KEY_FORMATS or null if unrecognized
+ */
+export const detectKeyFormat = (input) => {
+  const value = input.trim();
+  
+  if (value.startsWith('[')) {
+    return KEY_FORMATS.JSON;
+  }
+  
+  if (/^(0x)?([0-9a-fA-F]{128}|[0-9a-fA-F]{64})$/.test(value)) {
+    return KEY_FORMATS.HEX;
+  }
+  
+  const words = value.split(/\s+/);
+  if (words.length >= 12 && words.every(word => /^[a-z]+$/.test(word))) {
+    return KEY_FORMATS.MNEMONIC;
+  }
+  
+  if (/^[1-9A-HJ-NP-Za-km-z]+$/.test(value)) {
+    return KEY_FORMATS.BASE58;
+  }
+  
+  return null;
+};
+
+/**
+ * Decode a single-account private key (base58, JSON byte array or hex)
+ * into secret key bytes. 32-byte values are treated as ed25519 seeds.
+ * @param {string} input - Raw key input
+ * @returns {Uint8Array} - 32-byte seed or 64-byte secret key
+ */
+export const decodeSecretKey = (input) => {
+  const value = input.trim();
+  const format = detectKeyFormat(value);
+  let bytes;
+  
+  switch (format) {
+    case KEY_FORMATS.BASE58:
+      bytes = bs58.decode(value);
+      break;
+    case KEY_FORMATS.JSON: {
+      const parsed = JSON.parse(value);
+      if (!Array.isArray(parsed) || !parsed.every(n => Number.isInteger(n) && n >= 0 && n <= 255)) {
+        throw new Error('JSON key must be an array of bytes');
+      }
+      bytes = Uint8Array.from(parsed);
+      break;
+    }
+    case KEY_FORMATS.HEX:
+      bytes = Uint8Array.from(Buffer.from(value.replace(/^0x/, ''), 'hex'));
+      break;
+    case KEY_FORMATS.MNEMONIC:
+      throw new Error('Mnemonics must be expanded with deriveKeypairsFromMnemonic');
+    default:
+      throw new Error('Unrecognized private key format');
+  }
+  
+  // Only hex exports commonly carry a bare 32-byte seed
+  const allowSeed = format === KEY_FORMATS.HEX;
+  if (bytes.length !== 64 && !(allowSeed && bytes.length === 32)) {
+    throw new Error(`Invalid secret key length ${bytes.length} (expected 64 bytes)`);
+  }
+  
+  return bytes;
+};
+
+/**
+ * Derive keypairs from a BIP39 mnemonic along m/44'/501'/n'/0'
+ * @param {string} mnemonic - Seed phrase
+ * @param {Object} options - Derivation options
+ * @param {number} options.accountStart - First account index
+ * @param {number} options.accountCount - Number of accounts to derive
+ * @param {string} options.passphrase - Optional BIP39 passphrase
+ * @returns {Keypair[]} - Derived keypairs
+ */
+export const deriveKeypairsFromMnemonic = (mnemonic, { accountStart = 0, accountCount = 1, passphrase = '' } = {}) => {
+  const phrase = mnemonic.trim().split(/\s+/).join(' ');
+  
+  if (!bip39.validateMnemonic(phrase)) {
+    throw new Error('Invalid mnemonic (unknown word or bad checksum)');
+  }
+  
+  const seed = bip39.mnemonicToSeedSync(phrase, passphrase).toString('hex');
+  const keypairs = [];
+  
+  for (let account = accountStart; account < accountStart + accountCount; account++) {
+    const { key } = derivePath(`m/44'/501'/${account}'/0'`, seed);
+    keypairs.push(Keypair.fromSeed(key));
+  }
+  
+  return keypairs;
+};
+
+/**
+ * Convert one key line into base58 secret keys. Mnemonics expand into
+ * one key per derived account, other formats map to a single key.
+ * @param {string} input - Raw key input
+ * @param {Object} mnemonicOptions - Derivation options for mnemonics
+ * @returns {string[]} - Base58 encoded 64-byte secret keys
+ */
+export const normalizePrivateKey = (input, mnemonicOptions = {}) => {
+  if (detectKeyFormat(input) === KEY_FORMATS.MNEMONIC) {
+    return deriveKeypairsFromMnemonic(input, mnemonicOptions)
+      .map(keypair => bs58.encode(keypair.secretKey));
+  }
+  
+  const bytes = decodeSecretKey(input);
+  const keypair = bytes.length === 32 ? Keypair.fromSeed(bytes) : Keypair.fromSecretKey(bytes);
+  return [bs58.encode(keypair.secretKey)];
+};
 
 /**
  * Creates a Solana keypair from a private key
- * @param {string} privateKeyBase58 - Base58 encoded private key
+ * @param {string} privateKey - Base58, JSON byte array or hex encoded private key
  * @returns {Keypair|null} - Solana keypair or null if error
  */
-export const createKeypairFromPrivateKey = (privateKeyBase58) => {
+export const createKeypairFromPrivateKey = (privateKey) => {
   try {
-    // Decode base58 private key
-    const privateKeyBytes = bs58.decode(privateKeyBase58);
+    // Decode private key in whatever format it was given
+    const privateKeyBytes = decodeSecretKey(privateKey);
     
     // Create keypair
-    const keypair = Keypair.fromSecretKey(privateKeyBytes);
+    const keypair = privateKeyBytes.length === 32
+      ? Keypair.fromSeed(privateKeyBytes)
+      : Keypair.fromSecretKey(privateKeyBytes);
     
     return keypair;
   } catch (error) {
@@ -53,39 +182,40 @@ export const signMessage = (keypair, message) => {
   }
 };
 
+/**
+ * Verify a signature produced by signMessage
+ * @param {Object} signedData - Object with signature and public key (base58)
+ * @param {string} message - Message that was signed
+ * @returns {boolean} - True if the signature matches the public key and message
+ */
+export const verifySignature = (signedData, message) => {
+  try {
+    return nacl.sign.detached.verify(
+      new TextEncoder().encode(message),
+      bs58.decode(signedData.signature),
+      bs58.decode(signedData.publicKey)
+    );
+  } catch (error) {
+    logger.debug(`Failed to verify signature: ${error.message}`);
+    return false;
+  }
+};
+
 /**
  * Helper function to retry a Solana operation with exponential backoff
  * @param {Function} operation - Function to retry
  * @param {Object} retryOptions - Retry options
  * @returns {Promise<any>} - Result of the operation
  */
-export const withRetry = async (operation, retryOptions = { retries: 3, minTimeout: 1000, maxTimeout: 5000 }) => {
-  let lastError;
-  let retryCount = 0;
-  
-  while (retryCount <= retryOptions.retries) {
-    try {
-      return await operation();
-    } catch (error) {
-      lastError = error;
-      retryCount++;
-      
-      if (retryCount > retryOptions.retries) {
-        throw lastError;
-      }
-      
-      // Calculate backoff delay
-      const backoffTime = Math.min(
-        Math.round(Math.random() * Math.pow(2, retryCount) * retryOptions.minTimeout),
-        retryOptions.maxTimeout
-      );
-      
-      logger.warn(`Retrying operation in ${backoffTime}ms (attempt ${retryCount}/${retryOptions.retries})`);
-      
-      // Wait for backoff period
-      await new Promise(resolve => setTimeout(resolve, backoffTime));
+export const withRetry = async (operation, retryOptions = DEFAULT_RETRY_OPTIONS) => {
+  const { value } = await retry(operation, {
+    ...retryOptions,
+    // Local operations have no error classification, retry anything
+    shouldRetry: () => true,
+    onRetry: ({ attempt, retries, delayMs }) => {
+      logger.warn(`Retrying operation in ${delayMs}ms (attempt ${attempt}/${retries})`);
     }
-  }
+  });
   
-  throw lastError;
-};
\ No newline at end of file
+  return value;
+};
@@ -0,0 +1,83 @@
+/**
+ * Outcome of a wallet check
+ */
+export const STATUS = {
+  // The API confirmed the wallet is eligible
+  ELIGIBLE: 'ELIGIBLE',
+  // The API confirmed the wallet is not eligible ("No OG drop")
+  NOT_ELIGIBLE: 'NOT_ELIGIBLE',
+  // The API answered with an error (HTTP 4xx/5xx or success: false)
+  API_ERROR: 'API_ERROR',
+  // The API answered in a shape the check does not understand
+  UNEXPECTED_RESPONSE: 'UNEXPECTED_RESPONSE',
+  // No answer from the API (timeout, connection or proxy failure)
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  // The private key could not be turned into a keypair
+  INVALID_KEY: 'INVALID_KEY',
+  // The verification message could not be signed
+  SIGN_ERROR: 'SIGN_ERROR'
+};
+
+/**
+ * Statuses that are a definitive answer from the API
+ */
+export const CHECKED_STATUSES = [STATUS.ELIGIBLE, STATUS.NOT_ELIGIBLE];
+
+/**
+ * Statuses of wallets that were never actually checked
+ */
+export const ERROR_STATUSES = [
+  STATUS.API_ERROR,
+  STATUS.UNEXPECTED_RESPONSE,
+  STATUS.NETWORK_ERROR,
+  STATUS.INVALID_KEY,
+  STATUS.SIGN_ERROR
+];
+
+/**
+ * Check whether a status is a definitive answer from the API
+ * @param {string|null} status - Status
+ * @returns {boolean} - True for ELIGIBLE and NOT_ELIGIBLE
+ */
+export const isCheckedStatus = status => CHECKED_STATUSES.includes(status);
+
+/**
+ * Check whether a status means the wallet was never actually checked
+ * @param {string|null} status - Status
+ * @returns {boolean} - True for the error statuses
+ */
+export const isErrorStatus = status => ERROR_STATUSES.includes(status);
+
+/**
+ * Get the status of a result. Records without a status (e.g. a CSV
+ * without that column) fall back to the eligible flag and the API error
+ * @param {Object} result - Check result or stored record
+ * @returns {string|null} - Status, or null when it cannot be determined
+ */
+export const resolveStatus = (result) => {
+  if (Object.values(STATUS).includes(result.status)) {
+    return result.status;
+  }
+
+  if (result.eligible === true) {
+    return STATUS.ELIGIBLE;
+  }
+
+  return result.error === 'No OG drop' ? STATUS.NOT_ELIGIBLE : null;
+};
+
+/**
+ * File name used for wallets with a given status in the text output
+ * @param {string} status - Status
+ * @returns {string} - File name
+ */
+export const statusFileName = (status) => {
+  switch (status) {
+    case STATUS.ELIGIBLE:
+      return 'eligible.txt';
+    case STATUS.NOT_ELIGIBLE:
+      return 'noteligible.txt';
+    default:
+      return `${status.toLowerCase()}.txt`;
+  }
+};
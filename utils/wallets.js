@@ -0,0 +1,72 @@
+import logger from './logger.js';
+import { readKeyEntries, readNumberedLines } from './files.js';
+import { resolvePassword } from './prompt.js';
+import { DEFAULT_KEYSTORE_FILE, KEYSTORE_PASSWORD_ENV, readKeystoreKeys } from './keystore.js';
+import { validateKeys, validateProxies, logValidationReport } from './preflight.js';
+
+/**
+ * Load and validate the private keys (and proxies when enabled) for a run
+ * @param {Object} config - Configuration
+ * @param {Object} options - Load options
+ * @param {boolean} options.keystore - Read keys from the keystore even if disabled in config
+ * @param {boolean} options.proxies - Also load proxies when enableProxy is set
+ * @returns {Promise<Object>} - Keys, proxies, both validation reports and the key source
+ */
+export const loadWallets = async (config, { keystore = false, proxies = true } = {}) => {
+  // Read private keys from the encrypted keystore or the plaintext key file
+  const useKeystore = config.keystore.enabled || keystore;
+  const keysPath = useKeystore
+    ? config.keystore.path || DEFAULT_KEYSTORE_FILE
+    : config.keysPath;
+
+  let keyEntries;
+  if (useKeystore) {
+    const password = await resolvePassword({
+      envVar: KEYSTORE_PASSWORD_ENV,
+      question: `Password for ${keysPath}: `
+    });
+    const storedKeys = await readKeystoreKeys(keysPath, password);
+    keyEntries = storedKeys.map((text, index) => ({ location: `${keysPath} #${index + 1}`, text }));
+  } else {
+    keyEntries = await readKeyEntries(keysPath);
+  }
+
+  // Validate keys and proxies before any network call
+  const keyReport = validateKeys(keyEntries, config.mnemonic);
+  logValidationReport(keyReport, 'private keys');
+
+  let proxyReport = null;
+  if (proxies && config.enableProxy) {
+    proxyReport = validateProxies(await readNumberedLines(config.proxiesPath));
+    logValidationReport(proxyReport, 'proxies');
+  }
+
+  return {
+    keysPath,
+    privateKeys: keyReport.keys,
+    proxies: proxyReport ? proxyReport.proxies : [],
+    keyReport,
+    proxyReport,
+    invalidCount: keyReport.errors + (proxyReport ? proxyReport.errors : 0)
+  };
+};
+
+/**
+ * Apply preflight.onInvalid to a load result
+ * @param {Object} wallets - Result of loadWallets
+ * @param {Object} config - Configuration
+ * @returns {boolean} - True if the run may continue
+ */
+export const passesPreflight = (wallets, config) => {
+  if (wallets.invalidCount === 0) {
+    return true;
+  }
+
+  if (config.preflight.onInvalid === 'skip') {
+    logger.warn(`Skipping ${wallets.invalidCount} invalid entries`);
+    return true;
+  }
+
+  logger.error(`Preflight found ${wallets.invalidCount} invalid entries, fix them or set preflight.onInvalid to "skip"`);
+  return false;
+};